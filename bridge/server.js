@@ -6,9 +6,14 @@
  * 1. WebSocket Relay Protocol (agents-services compatibility)
  * 2. Hyperswarm P2P Protocol (Observatory network discovery)
  * 
+ * Hyperswarm peers are reached over the Intercom sidechannel wire protocol
+ * (see features/sidechannel): topics are sha256("sidechannel:" + name) and
+ * payloads travel as signed JSON over Protomux `sidechannel/<name>` channels.
+ *
  * Security Features:
  * - Token-based authentication for WebSocket relay
  * - Public key verification for Hyperswarm
+ * - Signed + proof-of-work sidechannel payloads (same rules as Intercom peers)
  * - Channel/topic isolation (private channels stay private)
  * - Cross-protocol relay for public channels only
  * - Audit logging for all cross-protocol messages
@@ -17,12 +22,15 @@
  * WebSocket Clients → Relay Handler → Cross-Protocol Relay → Hyperswarm Network
  *                                    ↓
  *                              Agent Registry
- *                              Message Archive
+ *                              Message Archive (DATA_DIR/archive)
  *                              Activity Tracker
  */
 
 const Hyperswarm = require('hyperswarm')
+const Protomux = require('protomux')
+const c = require('compact-encoding')
 const crypto = require('hypercore-crypto')
+const nodeCrypto = require('crypto')
 const b4a = require('b4a')
 const http = require('http')
 const WebSocket = require('ws')
@@ -33,8 +41,43 @@ const path = require('path')
 const PORT = process.env.PORT || 8080
 const DATA_DIR = process.env.DATA_DIR || '/data'
 const KEY_PATH = path.join(DATA_DIR, 'swarm.key')
-const MAX_MESSAGES = 1000
-const AGENT_TIMEOUT_MS = 3600000 // 1 hour
+// Agent presence configuration
+const AGENT_IDLE_MS = (Number.parseFloat(process.env.AGENT_IDLE_MINUTES) || 5) * 60000
+const AGENT_TIMEOUT_MS = (Number.parseFloat(process.env.AGENT_TIMEOUT_MINUTES) || 60) * 60000 // 1 hour
+const AGENT_RETENTION_MS = (Number.parseFloat(process.env.AGENT_RETENTION_HOURS) || 24) * 3600000
+const AGENT_SWEEP_INTERVAL_MS = 30000
+
+// Agent announcements: 'flag' registers unsigned announcements as unverified, 'reject' drops them
+const AGENT_ANNOUNCE_POLICY = process.env.AGENT_ANNOUNCE_POLICY === 'reject' ? 'reject' : 'flag'
+const ANNOUNCE_MAX_SKEW_MS = 300000 // 5 minutes
+
+// Message archive configuration (append-only segments under DATA_DIR/archive)
+const ARCHIVE_DIR = path.join(DATA_DIR, 'archive')
+const ARCHIVE_MAX_AGE_MS = (Number.parseFloat(process.env.ARCHIVE_MAX_AGE_HOURS) || 168) * 3600000 // 7 days
+const ARCHIVE_MAX_BYTES = (Number.parseFloat(process.env.ARCHIVE_MAX_MB) || 256) * 1024 * 1024
+const ARCHIVE_SEGMENT_BYTES = 8 * 1024 * 1024
+const ARCHIVE_SEGMENT_MS = 3600000 // Start a new segment at least hourly so age retention stays granular
+const ARCHIVE_PRUNE_INTERVAL_MS = 600000 // 10 minutes
+const DEFAULT_QUERY_LIMIT = 100
+const MAX_QUERY_LIMIT = 1000
+
+// Sidechannel wire protocol configuration (mirrors Intercom peer defaults)
+const SIDECHANNEL_POW_DIFFICULTY = Number.parseInt(process.env.SIDECHANNEL_POW_DIFFICULTY || '12', 10) || 0
+// Ceiling for difficulties we honor from neighbor adverts (adaptive PoW). Peers may ask for up to
+// base + 8, but every extra bit doubles the bridge's solve time for each relayed message.
+const SIDECHANNEL_POW_MAX_DIFFICULTY = SIDECHANNEL_POW_DIFFICULTY + 4
+// Hash rounds per PoW batch before yielding back to the event loop (matches features/sidechannel)
+const POW_BATCH = 2048
+const SIDECHANNEL_ENTRY = '0000intercom' // Intercom's shared entry channel
+const SIDECHANNEL_RELAY_TTL = 3
+const SIDECHANNEL_MAX_BYTES = 1000000
+const SEEN_TTL_MS = 120000
+const MAX_SEEN = 5000
+
+// Bridges whose signed directs may name the relay agent that sent them (comma-separated public keys)
+const TRUSTED_BRIDGE_KEYS = new Set(
+  (process.env.TRUSTED_BRIDGE_KEYS || '').split(',').map(key => key.trim().toLowerCase()).filter(key => /^[0-9a-f]{64}$/.test(key))
+)
 
 // WebSocket Relay Configuration
 const RELAY_AUTH_TOKEN = process.env.SC_BRIDGE_TOKEN || null // Optional: set via environment
@@ -56,7 +99,7 @@ if (fs.existsSync(KEY_PATH)) {
   const keyData = fs.readFileSync(KEY_PATH)
   keypair = {
     publicKey: keyData.slice(0, 32),
-    secretKey: keyData.slice(32, 64)
+    secretKey: keyData.slice(32, 96)
   }
   console.log('[init] Loaded existing keypair from', KEY_PATH)
 } else {
@@ -73,10 +116,20 @@ console.log('[init] Bridge public key:', bridgePublicKey)
 const swarm = new Hyperswarm({ keyPair: keypair })
 
 // Data structures
-const peers = new Map() // publicKey -> { conn, publicKey, connectedAt, lastSeen, isClient, isServer, topics: Set }
+const peers = new Map() // publicKey -> { conn, mux, sessions: Map, publicKey, connectedAt, lastSeen, isClient, isServer, topics: Set }
 const topics = new Map() // topicKey -> { name, key, discovery, peers: Set, joinedAt, server, client, messageCount, lastActivity }
-const agents = new Map() // agentId -> { id, name, type, capabilities, publicKey, topics: Set, firstSeen, lastSeen, metadata }
-const messages = [] // Array of recent messages (FIFO, max MAX_MESSAGES)
+const agents = new Map() // agentId -> { id, name, type, capabilities, publicKey, topics: Set, firstSeen, lastSeen, status, statusChangedAt, verification, announcedAt, metadata }
+const archive = {
+  segments: [], // [{ file, firstSeq, firstTs, lastTs, bytes, dropped }] oldest first
+  active: null, // { segment, fd } currently appended to
+  index: [], // [{ seq, ts, channel, sender, type, segment, offset, length }] in seq order
+  byChannel: new Map(), // channel -> index entries
+  bySender: new Map(), // sender -> index entries
+  byType: new Map(), // type -> index entries
+  nextSeq: 1,
+  bytes: 0
+}
+const seen = new Map() // sidechannel payload id -> first seen timestamp
 const activityStats = {
   startTime: Date.now(),
   totalMessages: 0,
@@ -86,21 +139,184 @@ const activityStats = {
 }
 
 // WebSocket Relay structures
-const relayClients = new Map() // ws -> { id, authenticated, channels: Set, agentId }
+const relayClients = new Map() // ws -> { id, authenticated, channels: Set, agentId, challenge }
 const relayChannels = new Map() // channelName -> Set of ws clients
 
+// Sidechannel helpers (kept byte-compatible with features/sidechannel/index.js)
+const toTopic = (name) =>
+  nodeCrypto.createHash('sha256').update(`sidechannel:${String(name || '').trim()}`).digest()
+const toProtocol = (name) => `sidechannel/${name}`
+
+const stableStringify = (value) => {
+  if (value === null || value === undefined) return 'null'
+  if (typeof value !== 'object') return JSON.stringify(value)
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`
+  }
+  const keys = Object.keys(value).sort()
+  return `{${keys.map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`
+}
+
+const sha256Hex = (input) => nodeCrypto.createHash('sha256').update(input).digest('hex')
+
+const normalizeKeyHex = (value) => {
+  if (!value) return null
+  if (b4a.isBuffer(value)) return b4a.toString(value, 'hex')
+  if (typeof value === 'string') return value.trim().toLowerCase()
+  // Buffers that went through the JSON encoding arrive as { type: 'Buffer', data: [...] }
+  if (typeof value === 'object' && value.type === 'Buffer' && Array.isArray(value.data)) {
+    return b4a.toString(b4a.from(value.data), 'hex')
+  }
+  return null
+}
+
+const countLeadingZeroBits = (hex) => {
+  let bits = 0
+  for (let i = 0; i < hex.length; i += 1) {
+    const nibble = Number.parseInt(hex[i], 16)
+    if (nibble === 0) {
+      bits += 4
+      continue
+    }
+    for (let mask = 8; mask > 0; mask >>= 1) {
+      if (nibble & mask) return bits
+      bits += 1
+    }
+  }
+  return bits
+}
+
+function powBase(payload, nonce) {
+  return stableStringify({
+    id: payload?.id ?? null,
+    channel: payload?.channel ?? null,
+    from: payload?.from ?? null,
+    origin: payload?.origin ?? null,
+    message: payload?.message ?? null,
+    ts: payload?.ts ?? null,
+    nonce
+  })
+}
+
+// Solve in POW_BATCH-sized slices so WebSocket clients and other peers keep being served
+async function attachPow(payload, difficulty = SIDECHANNEL_POW_DIFFICULTY) {
+  if (difficulty <= 0) return
+  let nonce = 0
+  while (true) {
+    const end = nonce + POW_BATCH
+    for (; nonce < end; nonce += 1) {
+      if (countLeadingZeroBits(sha256Hex(powBase(payload, nonce))) >= difficulty) {
+        payload.pow = { nonce, difficulty }
+        return
+      }
+    }
+    await new Promise(resolve => setTimeout(resolve, 0))
+  }
+}
+
+// Pending PoW solves per channel; each send waits for the previous one so order is preserved
+const powQueue = new Map()
+
+// Solve PoW for a payload off the event loop, then hand it to `send` in channel order
+function dispatchSidechannel(payload, send) {
+  const channel = payload.channel
+  const tail = powQueue.get(channel) || Promise.resolve()
+  const next = tail
+    .then(() => attachPow(payload, powTarget(channel)))
+    .then(() => { send(payload) })
+    .catch(err => console.log(`[sidechannel] ${channel}: pow/send failed: ${err?.message ?? err}`))
+  powQueue.set(channel, next)
+  next.then(() => { if (powQueue.get(channel) === next) powQueue.delete(channel) })
+  return next
+}
+
+// Difficulty to solve for on a channel: our own, or the highest a neighbor advertised via `pow`
+function powTarget(channel) {
+  let difficulty = SIDECHANNEL_POW_DIFFICULTY
+  peers.forEach(peer => {
+    const advertised = peer.sessions.get(channel)?.powDifficulty
+    if (Number.isInteger(advertised) && advertised > difficulty) difficulty = advertised
+  })
+  return difficulty
+}
+
+function checkPow(payload) {
+  if (SIDECHANNEL_POW_DIFFICULTY <= 0) return true
+  const pow = payload?.pow
+  if (!pow || typeof pow.nonce !== 'number') return false
+  return countLeadingZeroBits(sha256Hex(powBase(payload, pow.nonce))) >= SIDECHANNEL_POW_DIFFICULTY
+}
+
+function sigBase(payload) {
+  // Normalize through JSON so the signature base matches what receivers decode.
+  let message = null
+  try {
+    message = JSON.parse(JSON.stringify(payload?.message ?? null))
+  } catch {
+    message = null
+  }
+  return stableStringify({
+    kind: 'sidechannel_message_v1',
+    id: payload?.id ?? null,
+    channel: payload?.channel ?? null,
+    from: normalizeKeyHex(payload?.from) ?? null,
+    origin: normalizeKeyHex(payload?.origin) ?? null,
+    ts: payload?.ts ?? null,
+    message
+  })
+}
+
+function verifySig(payload, pubkeyHex) {
+  const sigHex = payload?.sig || payload?.signature
+  if (typeof sigHex !== 'string' || sigHex.length !== 128) return false
+  if (typeof pubkeyHex !== 'string' || pubkeyHex.length !== 64) return false
+  try {
+    return crypto.verify(b4a.from(sigBase(payload)), b4a.from(sigHex, 'hex'), b4a.from(pubkeyHex, 'hex'))
+  } catch {
+    return false
+  }
+}
+
+// Build a signed sidechannel payload originating from the bridge. The signature does not cover
+// `pow`, so the stamp is attached later by dispatchSidechannel.
+function buildSidechannelPayload(channel, message, ttl = SIDECHANNEL_RELAY_TTL) {
+  const ts = Date.now()
+  const payload = {
+    type: 'sidechannel',
+    id: `${bridgePublicKey}:${ts}:${Math.random().toString(36).slice(2, 10)}`,
+    channel,
+    from: bridgePublicKey,
+    origin: bridgePublicKey,
+    message,
+    ts,
+    ttl
+  }
+  payload.sig = b4a.toString(crypto.sign(b4a.from(sigBase(payload)), keypair.secretKey), 'hex')
+  return payload
+}
+
+// Dedupe relayed payloads by id (insertion-ordered map, oldest first)
+function rememberSeen(id) {
+  if (!id) return false
+  if (seen.has(id)) return true
+  const now = Date.now()
+  seen.set(id, now)
+  if (seen.size > MAX_SEEN) seen.delete(seen.keys().next().value)
+  for (const [key, ts] of seen) {
+    if (ts >= now - SEEN_TTL_MS) break
+    seen.delete(key)
+  }
+  return false
+}
+
 // Helper: Generate topic key from name
 function getTopicKey(name) {
-  const topicBuffer = Buffer.alloc(32)
-  topicBuffer.write(name)
-  return b4a.toString(crypto.discoveryKey(topicBuffer), 'hex')
+  return b4a.toString(toTopic(name), 'hex')
 }
 
 // Helper: Join a Hyperswarm topic
 function joinTopic(name, options = {}) {
   const { server = true, client = true } = options
-  const topicBuffer = Buffer.alloc(32)
-  topicBuffer.write(name)
   const topicKey = getTopicKey(name)
   
   if (topics.has(topicKey)) {
@@ -108,7 +324,7 @@ function joinTopic(name, options = {}) {
     return topicKey
   }
   
-  const discovery = swarm.join(topicBuffer, { server, client })
+  const discovery = swarm.join(toTopic(name), { server, client })
   
   topics.set(topicKey, {
     name,
@@ -124,6 +340,9 @@ function joinTopic(name, options = {}) {
   
   console.log(`[topic] Joined: ${name} (key: ${topicKey.slice(0, 16)}...)`)
   
+  // Open the sidechannel on every live connection
+  peers.forEach(peer => openSidechannel(peer, name))
+  
   // Broadcast to WebSocket clients
   broadcastToWebSocketClients({
     type: 'topic-joined',
@@ -156,6 +375,16 @@ function leaveTopic(name) {
   topic.discovery.destroy()
   topics.delete(topicKey)
   
+  // Close the sidechannel sessions for this topic
+  peers.forEach(peer => {
+    peer.topics.delete(topicKey)
+    const session = peer.sessions.get(name)
+    if (session) {
+      peer.sessions.delete(name)
+      session.channel.close()
+    }
+  })
+  
   console.log(`[topic] Left: ${name}`)
   
   // Broadcast to WebSocket clients
@@ -169,9 +398,42 @@ function leaveTopic(name) {
   return true
 }
 
+// Helper: Attribute a peer to a topic (topic membership + agent subscriptions)
+function attributePeerToTopic(peer, topicKey) {
+  const topic = topics.get(topicKey)
+  if (!topic) return null
+  if (!peer.topics.has(topicKey)) {
+    peer.topics.add(topicKey)
+    topic.peers.add(peer.publicKey)
+    const agent = agents.get(peer.publicKey)
+    if (agent) agent.topics.add(topic.name)
+    console.log(`[topic] ${peer.publicKey.slice(0, 16)}... on ${topic.name}`)
+  }
+  return topic
+}
+
+// Helper: Drop a peer from every topic it was attributed to
+function detachPeerFromTopics(peer) {
+  peer.topics.forEach(topicKey => {
+    const topic = topics.get(topicKey)
+    if (topic) topic.peers.delete(peer.publicKey)
+  })
+}
+
+// Helper: Count a message against its topic
+function recordTopicMessage(topicName) {
+  const topic = topics.get(getTopicKey(topicName))
+  if (!topic) return
+  topic.messageCount++
+  topic.lastActivity = new Date().toISOString()
+}
+
+// How strongly an agent's identity is established: signed announcement > Noise-authenticated connection > none
+const VERIFICATION_RANK = { none: 0, transport: 1, signature: 2 }
+
 // Helper: Register or update agent
 function registerAgent(agentData) {
-  const { id, name, type, capabilities, publicKey, topics: agentTopics, metadata } = agentData
+  const { id, name, type, capabilities, publicKey, topics: agentTopics, metadata, verification = 'none', announcedAt = null } = agentData
   const agentId = id || publicKey
   
   if (!agentId) {
@@ -183,13 +445,32 @@ function registerAgent(agentData) {
   const existing = agents.get(agentId)
   
   if (existing) {
+    // Verified identities cannot be taken over by weaker or foreign claims
+    const existingRank = VERIFICATION_RANK[existing.verification]
+    const incomingRank = VERIFICATION_RANK[verification]
+    if (existingRank > 0 && (incomingRank === 0 || (publicKey && publicKey !== existing.publicKey))) {
+      console.warn(`[agent] Rejected ${verification} update for ${agentId.slice(0, 16)}... (identity already verified)`)
+      return null
+    }
+    if (announcedAt !== null && existing.announcedAt !== null && announcedAt <= existing.announcedAt) {
+      console.warn(`[agent] Rejected stale announcement for ${agentId.slice(0, 16)}...`)
+      return null
+    }
+    
     // Update existing agent
     existing.lastSeen = now
+    updateAgentStatus(existing)
     if (name) existing.name = name
     if (type) existing.type = type
     if (capabilities) existing.capabilities = capabilities
     if (agentTopics) existing.topics = new Set([...existing.topics, ...agentTopics])
     if (metadata) existing.metadata = { ...existing.metadata, ...metadata }
+    if (incomingRank > existingRank) {
+      // A stronger proof of identity wins over whatever key weaker claims registered
+      existing.verification = verification
+      if (publicKey) existing.publicKey = publicKey
+    }
+    if (announcedAt !== null) existing.announcedAt = announcedAt
     console.log(`[agent] Updated: ${agentId.slice(0, 16)}... (${name || 'unnamed'})`)
   } else {
     // Register new agent
@@ -202,28 +483,414 @@ function registerAgent(agentData) {
       topics: new Set(agentTopics || []),
       firstSeen: now,
       lastSeen: now,
+      status: 'online',
+      statusChangedAt: now,
+      verification,
+      announcedAt,
       metadata: metadata || {}
     })
     activityStats.totalAgents++
-    console.log(`[agent] Registered: ${agentId.slice(0, 16)}... (${name || 'unnamed'})`)
+    console.log(`[agent] Registered: ${agentId.slice(0, 16)}... (${name || 'unnamed'}, ${verification})`)
     
     // Broadcast agent-discovered event
     broadcastToWebSocketClients({
       type: 'agent-discovered',
       id: 'evt-' + Date.now(),
       timestamp: now,
-      payload: agents.get(agentId)
+      payload: serializeAgent(agents.get(agentId))
     })
   }
   
   return agents.get(agentId)
 }
 
+// Announcements: canonical body covered by the announcement signature
+function normalizeAnnouncement(body) {
+  return {
+    agentId: String(body?.agentId ?? ''),
+    name: String(body?.name ?? ''),
+    type: String(body?.type ?? ''),
+    capabilities: Array.isArray(body?.capabilities) ? body.capabilities.map(String) : [],
+    publicKey: normalizeKeyHex(body?.publicKey) || '',
+    metadata: body?.metadata && typeof body.metadata === 'object' ? body.metadata : null,
+    issuedAt: Number(body?.issuedAt),
+    version: Number.isFinite(body?.version) ? Number(body.version) : 1
+  }
+}
+
+// Announcements: Check `sig` over stableStringify(normalized body) against the announced public key
+function verifyAnnouncement(normalized, sigHex) {
+  if (!normalized.publicKey || normalized.publicKey.length !== 64) return false
+  if (!Number.isFinite(normalized.issuedAt)) return false
+  if (normalized.issuedAt > Date.now() + ANNOUNCE_MAX_SKEW_MS) return false
+  try {
+    return crypto.verify(
+      b4a.from(stableStringify(normalized)),
+      b4a.from(sigHex, 'hex'),
+      b4a.from(normalized.publicKey, 'hex')
+    )
+  } catch {
+    return false
+  }
+}
+
+// Announcements: Verify and register an agent-announce / discovery message.
+// `signerKey` is the sidechannel origin whose envelope signature covered the announcement, if any;
+// `sourceKey` is the unauthenticated sender key used when the announcement names none;
+// `topic` is the channel it arrived on.
+function handleAnnouncement(announcement, { signerKey = null, sourceKey = null, topic = null, defaultType = 'unknown' } = {}) {
+  if (!announcement || typeof announcement !== 'object') return null
+  const nested = announcement.payload && typeof announcement.payload === 'object'
+  const body = nested ? announcement.payload : announcement
+  const sigHex = announcement.sig || announcement.signature
+  const normalized = normalizeAnnouncement(body)
+  
+  let verification = 'none'
+  let publicKey = normalized.publicKey || signerKey || sourceKey
+  if (typeof sigHex === 'string' && sigHex.length > 0) {
+    if (!verifyAnnouncement(normalized, sigHex)) {
+      console.warn(`[agent] Rejected announcement with invalid signature (${normalized.agentId || 'no id'})`)
+      return null
+    }
+    verification = 'signature'
+    publicKey = normalized.publicKey
+  } else if (signerKey && (!normalized.publicKey || normalized.publicKey === signerKey)) {
+    // The signed sidechannel envelope vouches for its origin's own announcement
+    verification = 'signature'
+  }
+  
+  if (verification === 'none' && AGENT_ANNOUNCE_POLICY === 'reject') {
+    console.warn(`[agent] Rejected unsigned announcement (${normalized.agentId || 'no id'})`)
+    return null
+  }
+  
+  // An agentId that is itself a public key names that key's owner; nobody else may claim it
+  const idAsKey = /^[0-9a-f]{64}$/i.test(normalized.agentId) ? normalized.agentId.toLowerCase() : null
+  if (idAsKey && idAsKey !== publicKey) {
+    console.warn(`[agent] Rejected announcement for ${idAsKey.slice(0, 16)}... signed by another key`)
+    return null
+  }
+  
+  return registerAgent({
+    id: normalized.agentId || publicKey,
+    name: normalized.name,
+    // Flat (legacy) discovery messages use `type` for the message kind, not the agent type
+    type: nested ? normalized.type || defaultType : defaultType,
+    capabilities: Array.isArray(body.capabilities) ? normalized.capabilities : undefined,
+    publicKey,
+    topics: topic ? [topic] : undefined,
+    metadata: verification === 'signature' ? normalized.metadata || {} : body,
+    verification,
+    announcedAt: verification === 'signature' && Number.isFinite(normalized.issuedAt) ? normalized.issuedAt : null
+  })
+}
+
+// Helper: JSON view of an agent (topics is a Set internally)
+function serializeAgent(agent) {
+  return {
+    id: agent.id,
+    name: agent.name,
+    type: agent.type,
+    capabilities: agent.capabilities,
+    publicKey: agent.publicKey,
+    topics: Array.from(agent.topics),
+    firstSeen: agent.firstSeen,
+    lastSeen: agent.lastSeen,
+    status: agent.status,
+    statusChangedAt: agent.statusChangedAt,
+    verified: agent.verification !== 'none',
+    verification: agent.verification,
+    announcedAt: agent.announcedAt,
+    metadata: agent.metadata
+  }
+}
+
+// Presence: Mark an agent as active now
+function touchAgent(agentId) {
+  const agent = agentId ? agents.get(agentId) : null
+  if (!agent) return
+  agent.lastSeen = new Date().toISOString()
+  updateAgentStatus(agent)
+}
+
+// Presence: Whether the agent has a live Hyperswarm connection or relay session
+function hasLiveConnection(agent, relayAgentIds = null) {
+  if (peers.has(agent.publicKey)) return true
+  if (relayAgentIds) return relayAgentIds.has(agent.id)
+  for (const clientInfo of relayClients.values()) {
+    if (clientInfo.agentId === agent.id) return true
+  }
+  return false
+}
+
+// Presence: online (connected, recently active) / idle / offline
+function computeAgentStatus(agent, now, relayAgentIds = null) {
+  const idleFor = now - Date.parse(agent.lastSeen)
+  if (hasLiveConnection(agent, relayAgentIds)) {
+    return idleFor < AGENT_IDLE_MS ? 'online' : 'idle'
+  }
+  return idleFor < AGENT_TIMEOUT_MS ? 'idle' : 'offline'
+}
+
+// Presence: Recompute an agent's status and announce transitions
+function updateAgentStatus(agent, now = Date.now(), relayAgentIds = null) {
+  const status = computeAgentStatus(agent, now, relayAgentIds)
+  if (status === agent.status) return
+  const previousStatus = agent.status
+  agent.status = status
+  agent.statusChangedAt = new Date(now).toISOString()
+  broadcastToWebSocketClients({
+    type: 'agent-status',
+    id: 'evt-' + now,
+    timestamp: agent.statusChangedAt,
+    payload: { agentId: agent.id, status, previousStatus, lastSeen: agent.lastSeen }
+  })
+}
+
+// Presence: Periodic sweep over the registry; evicts agents offline past the retention window
+function sweepAgents() {
+  const now = Date.now()
+  const relayAgentIds = new Set()
+  relayClients.forEach(clientInfo => {
+    if (clientInfo.agentId) relayAgentIds.add(clientInfo.agentId)
+  })
+  
+  for (const agent of agents.values()) {
+    updateAgentStatus(agent, now, relayAgentIds)
+    if (agent.status !== 'offline') continue
+    if (now - Date.parse(agent.lastSeen) < AGENT_RETENTION_MS) continue
+    
+    agents.delete(agent.id)
+    console.log(`[agent] Expired: ${agent.id.slice(0, 16)}... (${agent.name})`)
+    broadcastToWebSocketClients({
+      type: 'agent-expired',
+      id: 'evt-' + now,
+      timestamp: new Date(now).toISOString(),
+      payload: { agentId: agent.id, lastSeen: agent.lastSeen }
+    })
+  }
+}
+
+// Helper: Relay channels joined per agent, across all of its relay sessions
+function collectRelayChannels() {
+  const byAgent = new Map()
+  for (const clientInfo of relayClients.values()) {
+    if (!clientInfo.agentId) continue
+    const names = byAgent.get(clientInfo.agentId) || new Set()
+    clientInfo.channels.forEach(name => names.add(name))
+    byAgent.set(clientInfo.agentId, names)
+  }
+  return byAgent
+}
+
+// Helper: Query values arrive as comma-separated strings (HTTP) or arrays (WebSocket)
+function parseList(value) {
+  if (value === undefined || value === null || value === '') return []
+  const items = Array.isArray(value) ? value : String(value).split(',')
+  return items.map(item => String(item).trim().toLowerCase()).filter(Boolean)
+}
+
+// Search: filter agents by capability, type, topic, name and liveness, most recently seen first
+function searchAgents(query = {}) {
+  const capabilities = parseList(query.capabilities ?? query.capability)
+  const types = parseList(query.type)
+  const statuses = parseList(query.status)
+  const name = query.name ? String(query.name).toLowerCase() : null
+  const verified = query.verified === undefined || query.verified === '' ? null : String(query.verified) === 'true'
+  // `topic` may be a topic name or its key
+  let topic = query.topic ? String(query.topic) : null
+  if (topic && topics.has(topic)) topic = topics.get(topic).name
+  const offset = Math.max(Number.parseInt(query.offset, 10) || 0, 0)
+  const limit = Math.min(Math.max(Number.parseInt(query.limit, 10) || DEFAULT_QUERY_LIMIT, 1), MAX_QUERY_LIMIT)
+  
+  const relayChannelsByAgent = topic ? collectRelayChannels() : null
+  const matches = []
+  for (const agent of agents.values()) {
+    if (statuses.length && !statuses.includes(agent.status)) continue
+    if (types.length && !types.includes(String(agent.type).toLowerCase())) continue
+    if (verified !== null && (agent.verification !== 'none') !== verified) continue
+    if (name && !String(agent.name).toLowerCase().includes(name)) continue
+    if (capabilities.length) {
+      const has = new Set(agent.capabilities.map(cap => String(cap).toLowerCase()))
+      if (!capabilities.every(cap => has.has(cap))) continue
+    }
+    if (topic && !agent.topics.has(topic) && !relayChannelsByAgent.get(agent.id)?.has(topic)) continue
+    matches.push(agent)
+  }
+  
+  matches.sort((a, b) => Date.parse(b.lastSeen) - Date.parse(a.lastSeen) || (a.id < b.id ? -1 : 1))
+  
+  return {
+    total: matches.length,
+    offset,
+    limit,
+    agents: matches.slice(offset, offset + limit).map(serializeAgent)
+  }
+}
+
+// Archive: Pull the indexed fields out of an archived message (Observatory or relay shape)
+function describeArchived(message) {
+  const payload = message && typeof message.payload === 'object' ? message.payload : {}
+  const parsedTs = Date.parse(message?.timestamp)
+  return {
+    id: message?.id ?? null,
+    channel: message?.channel ?? payload.channel ?? null,
+    sender: message?.from ?? payload.source ?? null,
+    type: message?.type ?? 'message',
+    timestamp: Number.isFinite(parsedTs) ? parsedTs : Date.now()
+  }
+}
+
+// Archive: Add an entry to the in-memory index
+function indexArchived(entry) {
+  archive.index.push(entry)
+  const addTo = (map, key) => {
+    if (key === null || key === undefined) return
+    if (!map.has(key)) map.set(key, [])
+    map.get(key).push(entry)
+  }
+  addTo(archive.byChannel, entry.channel)
+  addTo(archive.bySender, entry.sender)
+  addTo(archive.byType, entry.type)
+}
+
+// Archive: Rebuild the index from the segment files on disk
+function loadArchive() {
+  fs.mkdirSync(ARCHIVE_DIR, { recursive: true })
+  const files = fs.readdirSync(ARCHIVE_DIR)
+    .filter(file => /^segment-\d+\.ndjson$/.test(file))
+    .sort()
+  
+  for (const file of files) {
+    const data = fs.readFileSync(path.join(ARCHIVE_DIR, file))
+    const segment = { file, firstSeq: null, firstTs: null, lastTs: null, bytes: data.length, dropped: false }
+    let offset = 0
+    while (offset < data.length) {
+      let end = data.indexOf(10, offset)
+      if (end === -1) end = data.length
+      const length = end - offset
+      let record = null
+      try {
+        record = JSON.parse(data.toString('utf8', offset, end))
+      } catch {
+        // Torn write from a crash; skip the fragment
+      }
+      if (record && Number.isSafeInteger(record.seq)) {
+        if (segment.firstSeq === null) {
+          segment.firstSeq = record.seq
+          segment.firstTs = record.ts
+        }
+        segment.lastTs = record.ts
+        indexArchived({
+          seq: record.seq,
+          ts: record.ts,
+          channel: record.channel,
+          sender: record.sender,
+          type: record.type,
+          segment,
+          offset,
+          length
+        })
+        archive.nextSeq = Math.max(archive.nextSeq, record.seq + 1)
+      }
+      offset = end + 1
+    }
+    if (segment.firstSeq === null) {
+      // Nothing recoverable (empty or torn); the name may be reused by the next segment
+      fs.unlinkSync(path.join(ARCHIVE_DIR, file))
+      continue
+    }
+    archive.segments.push(segment)
+    archive.bytes += segment.bytes
+  }
+  
+  console.log(`[archive] Loaded ${archive.index.length} messages from ${files.length} segment(s) in ${ARCHIVE_DIR}`)
+  pruneArchive()
+}
+
+// Archive: Open a fresh segment for appends
+function rotateArchive(now) {
+  if (archive.active) fs.closeSync(archive.active.fd)
+  const file = `segment-${String(archive.nextSeq).padStart(12, '0')}.ndjson`
+  const segment = { file, firstSeq: archive.nextSeq, firstTs: now, lastTs: now, bytes: 0, dropped: false }
+  archive.segments.push(segment)
+  archive.active = { segment, fd: fs.openSync(path.join(ARCHIVE_DIR, file), 'a') }
+}
+
+// Archive: Delete whole segments that fall outside the age/size retention
+function pruneArchive() {
+  const cutoff = Date.now() - ARCHIVE_MAX_AGE_MS
+  let removed = 0
+  while (archive.segments.length > 0) {
+    const oldest = archive.segments[0]
+    if (archive.active && archive.active.segment === oldest) break
+    const expired = oldest.lastTs === null || oldest.lastTs < cutoff
+    if (!expired && archive.bytes <= ARCHIVE_MAX_BYTES) break
+    archive.segments.shift()
+    archive.bytes -= oldest.bytes
+    oldest.dropped = true
+    try {
+      fs.unlinkSync(path.join(ARCHIVE_DIR, oldest.file))
+    } catch (err) {
+      console.error('[archive] Failed to delete segment:', err.message)
+    }
+    removed++
+  }
+  if (removed === 0) return
+  
+  // Dropped segments are always the oldest, so their entries lead every list
+  const keep = entry => !entry.segment.dropped
+  archive.index = archive.index.filter(keep)
+  for (const map of [archive.byChannel, archive.bySender, archive.byType]) {
+    for (const [key, entries] of map) {
+      const kept = entries.filter(keep)
+      if (kept.length > 0) map.set(key, kept)
+      else map.delete(key)
+    }
+  }
+  console.log(`[archive] Pruned ${removed} segment(s), ${archive.index.length} messages retained`)
+}
+
 // Helper: Archive message
 function archiveMessage(message) {
-  messages.push(message)
-  if (messages.length > MAX_MESSAGES) {
-    messages.shift()
+  const now = Date.now()
+  const described = describeArchived(message)
+  const record = {
+    seq: archive.nextSeq,
+    ts: now,
+    channel: described.channel,
+    sender: described.sender,
+    type: described.type,
+    message
+  }
+  
+  try {
+    const active = archive.active
+    if (!active ||
+        active.segment.bytes >= ARCHIVE_SEGMENT_BYTES ||
+        now - active.segment.firstTs >= ARCHIVE_SEGMENT_MS) {
+      rotateArchive(now)
+      pruneArchive()
+    }
+    const { segment, fd } = archive.active
+    const line = Buffer.from(JSON.stringify(record) + '\n')
+    fs.writeSync(fd, line)
+    indexArchived({
+      seq: record.seq,
+      ts: now,
+      channel: record.channel,
+      sender: record.sender,
+      type: record.type,
+      segment,
+      offset: segment.bytes,
+      length: line.length - 1
+    })
+    segment.bytes += line.length
+    segment.lastTs = now
+    archive.bytes += line.length
+    archive.nextSeq++
+  } catch (err) {
+    console.error('[archive] Append failed:', err.message)
   }
   activityStats.totalMessages++
   
@@ -235,6 +902,94 @@ function archiveMessage(message) {
   activityStats.hourlyStats[hour].messages++
 }
 
+// Archive: Read a stored record back from its segment, reusing descriptors from `fds` (file -> fd)
+function readArchived(entry, fds) {
+  let fd = fds.get(entry.segment.file)
+  if (fd === undefined) {
+    fd = fs.openSync(path.join(ARCHIVE_DIR, entry.segment.file), 'r')
+    fds.set(entry.segment.file, fd)
+  }
+  const buffer = Buffer.alloc(entry.length)
+  fs.readSync(fd, buffer, 0, entry.length, entry.offset)
+  return JSON.parse(buffer.toString('utf8'))
+}
+
+// Helper: Parse a time filter given as epoch milliseconds or an ISO date
+function parseTime(value) {
+  if (value === undefined || value === null || value === '') return null
+  const asNumber = Number(value)
+  if (Number.isFinite(asNumber)) return asNumber
+  const parsed = Date.parse(value)
+  return Number.isFinite(parsed) ? parsed : null
+}
+
+// Archive: Query newest-first with filters and cursor/offset pagination
+function queryArchive(query = {}) {
+  // `topic` may be a topic name or its key
+  let channel = query.channel || query.topic || null
+  if (channel && topics.has(channel)) channel = topics.get(channel).name
+  const sender = query.sender || null
+  const type = query.type || null
+  const since = parseTime(query.since)
+  const until = parseTime(query.until)
+  const cursor = Number.parseInt(query.cursor, 10)
+  const offset = Math.max(Number.parseInt(query.offset, 10) || 0, 0)
+  const limit = Math.min(Math.max(Number.parseInt(query.limit, 10) || DEFAULT_QUERY_LIMIT, 1), MAX_QUERY_LIMIT)
+  
+  // Walk the narrowest index list; the others are checked per entry
+  let candidates = archive.index
+  const lists = []
+  if (channel) lists.push(archive.byChannel.get(channel) || [])
+  if (sender) lists.push(archive.bySender.get(sender) || [])
+  if (type) lists.push(archive.byType.get(type) || [])
+  for (const list of lists) {
+    if (list.length < candidates.length || candidates === archive.index) candidates = list
+  }
+  
+  const matches = []
+  for (let i = candidates.length - 1; i >= 0; i--) {
+    const entry = candidates[i]
+    if (Number.isFinite(cursor) && entry.seq >= cursor) continue
+    // Entries are appended in time order, so nothing older can match
+    if (since !== null && entry.ts < since) break
+    if (until !== null && entry.ts > until) continue
+    if (channel && entry.channel !== channel) continue
+    if (sender && entry.sender !== sender) continue
+    if (type && entry.type !== type) continue
+    matches.push(entry)
+  }
+  
+  const page = matches.slice(offset, offset + limit)
+  const results = []
+  // Each segment file is opened at most once per query
+  const fds = new Map()
+  for (const entry of page) {
+    try {
+      const record = readArchived(entry, fds)
+      results.push({
+        seq: record.seq,
+        id: record.message?.id ?? `msg-${record.seq}`,
+        timestamp: new Date(record.ts).toISOString(),
+        topic: record.channel,
+        sender: record.sender,
+        type: record.type,
+        content: record.message
+      })
+    } catch (err) {
+      console.error('[archive] Read failed:', err.message)
+    }
+  }
+  for (const fd of fds.values()) fs.closeSync(fd)
+  
+  return {
+    total: matches.length,
+    offset,
+    limit,
+    nextCursor: offset + limit < matches.length && page.length > 0 ? page[page.length - 1].seq : null,
+    messages: results
+  }
+}
+
 // Helper: Broadcast to WebSocket clients (Observatory protocol)
 function broadcastToWebSocketClients(message) {
   clients.forEach(ws => {
@@ -257,8 +1012,24 @@ function broadcastToRelayClients(message, channelFilter = null) {
   })
 }
 
+// Helper: Send a sidechannel payload to every peer with a session on the channel
+function sendSidechannel(channelName, payload, exceptPeerId = null) {
+  peers.forEach(peer => {
+    if (peer.publicKey === exceptPeerId) return
+    const session = peer.sessions.get(channelName)
+    if (!session) return
+    if (session.channel.opened) {
+      session.message.send(payload)
+    } else {
+      session.channel.fullyOpened()
+        .then(opened => { if (opened) session.message.send(payload) })
+        .catch(() => {})
+    }
+  })
+}
+
 // Helper: Relay message cross-protocol (WebSocket Relay → Hyperswarm)
-function relayToHyperswarm(channelName, message, fromAgentId) {
+function relayToHyperswarm(channelName, message) {
   // Security: Only relay public channels
   if (!PUBLIC_CHANNELS.has(channelName)) {
     console.log(`[relay] Blocked: ${channelName} is not a public channel`)
@@ -267,27 +1038,18 @@ function relayToHyperswarm(channelName, message, fromAgentId) {
   
   console.log(`[relay] WebSocket → Hyperswarm: ${channelName}`)
   
-  // Convert to Hyperswarm format and broadcast
-  const hyperswarmMessage = {
-    type: message.type || 'message',
-    id: 'evt-' + Date.now(),
-    timestamp: new Date().toISOString(),
-    payload: {
-      source: fromAgentId || 'relay',
-      channel: channelName,
-      ...message
-    }
+  // Sign as the bridge; Intercom peers see the relay message as the sidechannel message body
+  const payload = buildSidechannelPayload(channelName, message)
+  // Measure with the widest possible PoW stamp, since it is attached after this check
+  const sized = { ...payload, pow: { nonce: Number.MAX_SAFE_INTEGER, difficulty: SIDECHANNEL_POW_MAX_DIFFICULTY } }
+  if (Buffer.byteLength(JSON.stringify(sized)) > SIDECHANNEL_MAX_BYTES) {
+    console.log(`[relay] Dropped: message on ${channelName} exceeds ${SIDECHANNEL_MAX_BYTES} bytes`)
+    return
   }
-  
-  // Send to all Hyperswarm peers
-  peers.forEach(peer => {
-    if (peer.conn && !peer.conn.destroyed) {
-      peer.conn.write(JSON.stringify(hyperswarmMessage))
-    }
-  })
-  
-  // Archive
-  archiveMessage(hyperswarmMessage)
+  rememberSeen(payload.id)
+  dispatchSidechannel(payload, solved => sendSidechannel(channelName, solved))
+  recordTopicMessage(channelName)
+  return payload
 }
 
 // Helper: Relay message cross-protocol (Hyperswarm → WebSocket Relay)
@@ -313,20 +1075,230 @@ function relayToWebSocketRelay(topicName, message, fromPublicKey) {
   broadcastToRelayClients(relayMessage, topicName)
 }
 
+// Direct: Deliver to every open relay session of an agent; returns the number of sessions reached
+function deliverToRelayAgent(agentId, envelope) {
+  let delivered = 0
+  relayClients.forEach((clientInfo, ws) => {
+    if (clientInfo.agentId !== agentId || ws.readyState !== WebSocket.OPEN) return
+    ws.send(JSON.stringify(envelope))
+    delivered++
+  })
+  return delivered
+}
+
+// Direct: Send to one Hyperswarm peer over a sidechannel session it has open (entry channel preferred).
+// TTL 0 keeps the peer from forwarding it; returns the channel used, or null.
+function deliverToPeer(peer, envelope) {
+  const open = Array.from(peer.sessions.entries()).filter(([, session]) => session.channel.opened)
+  if (open.length === 0) return null
+  const [channelName, session] = open.find(([name]) => name === SIDECHANNEL_ENTRY) || open[0]
+  const payload = buildSidechannelPayload(channelName, envelope, 0)
+  rememberSeen(payload.id)
+  dispatchSidechannel(payload, solved => {
+    if (!session.channel.closed) session.message.send(solved)
+  })
+  return channelName
+}
+
+// Direct: Route a message to an agent by agentId or public key.
+// Relay sessions get the `direct_message` envelope; Hyperswarm peers (Intercom peers and other
+// bridges) get it as a `direct` sidechannel message, the type handleSidechannelPayload accepts.
+// Returns { via, delivered, channel } or { error } when the target is unknown or offline.
+function routeDirect(to, envelope) {
+  const agent = findAgent(to)
+  const agentId = agent ? agent.id : to
+  const delivered = deliverToRelayAgent(agentId, envelope)
+  if (delivered > 0) return { via: 'relay', delivered }
+  
+  const peer = peers.get(agent ? agent.publicKey : normalizeKeyHex(to))
+  if (peer) {
+    const channel = deliverToPeer(peer, { ...envelope, type: 'direct' })
+    if (channel) return { via: 'hyperswarm', delivered: 1, channel }
+    return { error: 'Target offline' }
+  }
+  
+  return { error: agent ? 'Target offline' : 'Unknown target' }
+}
+
+// Sidechannel: Open the Protomux `sidechannel/<name>` session with a peer
+function openSidechannel(peer, name, attempt = 0) {
+  if (peer.conn.destroyed || peer.sessions.has(name)) return
+  const protocol = toProtocol(name)
+  
+  // Let the remote side open first; we answer once it does
+  if (!peer.paired.has(protocol)) {
+    peer.paired.add(protocol)
+    peer.mux.pair({ protocol }, () => openSidechannel(peer, name))
+  }
+  
+  const channel = peer.mux.createChannel({
+    protocol,
+    onclose() {
+      if (peer.sessions.get(name)?.channel === channel) peer.sessions.delete(name)
+    }
+  })
+  if (!channel) return
+  
+  const message = channel.addMessage({
+    encoding: c.json,
+    onmessage: payload => handleSidechannelPayload(name, payload, peer)
+  })
+  peer.sessions.set(name, { channel, message })
+  channel.open()
+  
+  channel.fullyOpened().then(opened => {
+    // An opened session means the remote runs this sidechannel too
+    if (opened) attributePeerToTopic(peer, getTopicKey(name))
+    if (opened || !topics.has(getTopicKey(name))) return
+    // Remote has not paired the protocol yet; back off and retry a few times
+    if (attempt < 5) {
+      setTimeout(() => openSidechannel(peer, name, attempt + 1), 100 * (attempt + 1))
+    }
+  }).catch(() => {})
+}
+
+// Sidechannel: Handle an inbound payload (same acceptance rules as Intercom peers)
+function handleSidechannelPayload(channelName, payload, peer) {
+  if (!payload || typeof payload !== 'object') return
+  
+  let payloadBytes = 0
+  try {
+    payloadBytes = Buffer.byteLength(JSON.stringify(payload))
+  } catch {
+    return
+  }
+  if (payloadBytes > SIDECHANNEL_MAX_BYTES) {
+    console.log(`[sidechannel:${channelName}] drop (too large) from ${peer.publicKey.slice(0, 16)}...`)
+    return
+  }
+  if (!checkPow(payload)) {
+    console.log(`[sidechannel:${channelName}] drop (invalid pow) from ${peer.publicKey.slice(0, 16)}...`)
+    return
+  }
+  
+  const payloadId = payload.id ?? `${payload.from ?? 'unknown'}:${payload.ts ?? 0}:${channelName}`
+  if (rememberSeen(payloadId)) return
+  
+  peer.lastSeen = new Date().toISOString()
+  attributePeerToTopic(peer, getTopicKey(channelName))
+  
+  // Handshake controls are addressed to direct neighbors only
+  const control = payload.message?.control
+  if (control === 'auth' || control === 'welcome') return
+  if (control === 'pow') {
+    // Adaptive PoW: this neighbor now wants this difficulty for what we send it
+    const session = peer.sessions.get(channelName)
+    const difficulty = Number(payload.message.difficulty)
+    if (session && Number.isInteger(difficulty) && difficulty >= 0) {
+      session.powDifficulty = Math.min(difficulty, SIDECHANNEL_POW_MAX_DIFFICULTY)
+    }
+    return
+  }
+  
+  const from = normalizeKeyHex(payload.from) || peer.publicKey
+  const origin = normalizeKeyHex(payload.origin) || from
+  const verified = verifySig(payload, from)
+  const content = payload.message
+  touchAgent(origin)
+  
+  if (control === 'open_channel') {
+    console.log(`[sidechannel:${channelName}] channel request: ${content.channel}`)
+  } else {
+    // Handle agent-announce messages
+    if (content && content.type === 'agent-announce' && content.payload) {
+      handleAnnouncement(content, { signerKey: verified && from === origin ? origin : null, sourceKey: origin, topic: channelName })
+    }
+    
+    // Direct messages are handed to the addressed relay agent only; never published or forwarded
+    if (content && content.type === 'direct') {
+      if (!verified || from !== origin) {
+        console.log(`[direct] drop (unverified signature) from ${origin.slice(0, 16)}...`)
+        return
+      }
+      // Only a trusted bridge may name the relay agent it speaks for; anyone else is the sender
+      const namedSender = typeof content.from === 'string' && content.from ? content.from : null
+      const sender = namedSender && TRUSTED_BRIDGE_KEYS.has(origin) ? namedSender : origin
+      const delivered = content.to ? deliverToRelayAgent(String(content.to), {
+        type: 'direct_message',
+        id: content.id ?? payloadId,
+        from: sender,
+        origin,
+        to: content.to,
+        message: content.message,
+        verified,
+        timestamp: Date.now()
+      }) : 0
+      if (delivered > 0) {
+        console.log(`[direct] Hyperswarm → relay agent ${String(content.to).slice(0, 16)}`)
+      } else {
+        console.log(`[direct] drop (no relay session for ${String(content.to ?? 'none').slice(0, 16)}) from ${origin.slice(0, 16)}...`)
+      }
+      return
+    }
+    
+    const msg = {
+      type: 'message',
+      id: payloadId,
+      timestamp: new Date(Number.isFinite(payload.ts) ? payload.ts : Date.now()).toISOString(),
+      payload: {
+        source: origin,
+        channel: channelName,
+        content,
+        relayedBy: payload.relayedBy ?? null,
+        verified
+      }
+    }
+    
+    // Archive message
+    archiveMessage(msg)
+    recordTopicMessage(channelName)
+    
+    // Broadcast to WebSocket clients
+    broadcastToWebSocketClients(msg)
+    
+    // Relay to WebSocket relay clients on the same channel
+    relayToWebSocketRelay(channelName, content, origin)
+  }
+  
+  // Forward to the other neighbors while TTL remains
+  const ttl = Number.isFinite(payload.ttl) ? payload.ttl : 0
+  if (ttl > 0) {
+    sendSidechannel(channelName, { ...payload, ttl: ttl - 1, relayedBy: bridgePublicKey }, peer.publicKey)
+  }
+}
+
 // Hyperswarm: Handle peer connections
 swarm.on('connection', (conn, info) => {
   const peerId = b4a.toString(info.publicKey, 'hex')
   console.log('[swarm] Peer connected:', peerId.slice(0, 16) + '...')
   
   // Register peer
-  peers.set(peerId, {
+  const peer = {
     conn,
+    mux: Protomux.from(conn),
+    sessions: new Map(),
+    paired: new Set(),
     publicKey: peerId,
     connectedAt: new Date().toISOString(),
     lastSeen: new Date().toISOString(),
     isClient: info.client,
     isServer: info.server,
     topics: new Set()
+  }
+  peers.set(peerId, peer)
+  
+  // Register as agent
+  registerAgent({
+    id: peerId,
+    publicKey: peerId,
+    type: 'hyperswarm-peer',
+    topics: [],
+    verification: 'transport'
+  })
+  
+  // Topics this connection was discovered on (client side); sessions fill in the rest
+  ;(info.topics || []).forEach(topicBuffer => {
+    attributePeerToTopic(peer, b4a.toString(topicBuffer, 'hex'))
   })
   
   // Notify WebSocket clients
@@ -334,73 +1306,268 @@ swarm.on('connection', (conn, info) => {
     type: 'agent-join',
     id: 'evt-' + Date.now(),
     timestamp: new Date().toISOString(),
-    payload: { agentId: peerId, publicKey: peerId }
+    payload: { agentId: peerId, publicKey: peerId, topics: Array.from(peer.topics) }
   }
   broadcastToWebSocketClients(joinEvent)
   
-  // Register as agent
-  registerAgent({
-    id: peerId,
-    publicKey: peerId,
-    type: 'hyperswarm-peer',
-    topics: []
-  })
+  // Open a sidechannel session for every joined topic
+  topics.forEach(topic => openSidechannel(peer, topic.name))
   
-  // Handle incoming data
-  conn.on('data', data => {
-    let msg
-    try {
-      msg = JSON.parse(data.toString())
-    } catch {
-      msg = {
-        type: 'message',
+  conn.on('close', () => {
+    console.log('[swarm] Peer disconnected:', peerId.slice(0, 16) + '...')
+    // A replacement connection for the same key may already be registered
+    if (peers.get(peerId) === peer) {
+      peers.delete(peerId)
+      detachPeerFromTopics(peer)
+      const agent = agents.get(peerId)
+      if (agent) updateAgentStatus(agent)
+      
+      const leaveEvent = {
+        type: 'agent-leave',
         id: 'evt-' + Date.now(),
         timestamp: new Date().toISOString(),
-        payload: { source: peerId, raw: data.toString('hex').slice(0, 64) }
+        payload: { agentId: peerId }
       }
+      broadcastToWebSocketClients(leaveEvent)
     }
-    
-    // Update peer last seen
-    const peer = peers.get(peerId)
-    if (peer) peer.lastSeen = new Date().toISOString()
-    
-    // Handle agent-announce messages
-    if (msg.type === 'agent-announce' && msg.payload) {
-      registerAgent({
-        id: msg.payload.agentId || peerId,
-        name: msg.payload.name,
-        type: msg.payload.type,
-        capabilities: msg.payload.capabilities,
-        publicKey: peerId,
-        metadata: msg.payload
-      })
-    }
-    
-    // Archive message
-    archiveMessage(msg)
-    
-    // Broadcast to WebSocket clients
-    broadcastToWebSocketClients(msg)
-    
-    // Relay to WebSocket relay if from public topic
-    // (Note: We don't know which topic this came from in Hyperswarm, so we relay all)
-    relayToWebSocketRelay('0000intercom', msg, peerId)
   })
   
-  conn.on('close', () => {
-    console.log('[swarm] Peer disconnected:', peerId.slice(0, 16) + '...')
-    peers.delete(peerId)
-    
-    const leaveEvent = {
-      type: 'agent-leave',
-      id: 'evt-' + Date.now(),
-      timestamp: new Date().toISOString(),
-      payload: { agentId: peerId }
+  conn.on('error', err => console.error('[swarm] Connection error:', err.message))
+})
+
+// HTTP routing: handlers are registered per method and path pattern; `:name` segments become params
+const routes = []
+
+function route(method, pattern, handler) {
+  const names = []
+  const source = pattern.split('/').map(segment => {
+    if (!segment.startsWith(':')) return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    names.push(segment.slice(1))
+    return '([^/]+)'
+  }).join('/')
+  routes.push({ method, pattern, regex: new RegExp(`^${source}/?$`), names, handler })
+}
+
+function matchRoute(method, pathname) {
+  let allowed = null
+  for (const r of routes) {
+    const match = r.regex.exec(pathname)
+    if (!match) continue
+    if (r.method !== method) {
+      allowed = allowed || []
+      allowed.push(r.method)
+      continue
     }
-    broadcastToWebSocketClients(leaveEvent)
-  })
+    const params = {}
+    r.names.forEach((name, i) => { params[name] = decodeURIComponent(match[i + 1]) })
+    return { handler: r.handler, params }
+  }
+  return allowed ? { allowed } : null
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status)
+  res.end(JSON.stringify(body))
+}
+
+// Helper: Look up an agent by id or public key
+function findAgent(key) {
+  if (!key) return null
+  if (agents.has(key)) return agents.get(key)
+  const publicKey = normalizeKeyHex(key)
+  if (!publicKey) return null
+  for (const agent of agents.values()) {
+    if (agent.publicKey === publicKey) return agent
+  }
+  return null
+}
+
+// Graph: bridge, agent and topic nodes with connection, subscription and hosted edges
+function buildGraph() {
+  const nodes = [{
+    id: 'bridge',
+    type: 'bridge',
+    label: 'SC-Bridge',
+    publicKey: bridgePublicKey
+  }]
+  const edges = []
   
-  conn.on('error', err => console.error('[swarm] Connection error:', err.message))
+  for (const topic of topics.values()) {
+    nodes.push({
+      id: 'topic-' + topic.key,
+      type: 'topic',
+      label: topic.name,
+      key: topic.key,
+      peerCount: topic.peers.size,
+      messageCount: topic.messageCount,
+      lastActivity: topic.lastActivity
+    })
+    edges.push({ source: 'topic-' + topic.key, target: 'bridge', type: 'hosted' })
+  }
+  
+  const relayChannelsByAgent = collectRelayChannels()
+  const relayAgentIds = new Set(relayChannelsByAgent.keys())
+  for (const agent of agents.values()) {
+    nodes.push({
+      id: agent.id,
+      type: 'agent',
+      label: agent.name,
+      agentType: agent.type,
+      capabilities: agent.capabilities,
+      publicKey: agent.publicKey,
+      status: agent.status,
+      verified: agent.verification !== 'none'
+    })
+    if (hasLiveConnection(agent, relayAgentIds)) {
+      edges.push({ source: agent.id, target: 'bridge', type: 'connection' })
+    }
+    const subscribed = new Set(agent.topics)
+    relayChannelsByAgent.get(agent.id)?.forEach(name => subscribed.add(name))
+    for (const name of subscribed) {
+      const topicKey = getTopicKey(name)
+      if (topics.has(topicKey)) edges.push({ source: agent.id, target: 'topic-' + topicKey, type: 'subscription' })
+    }
+  }
+  
+  return { nodes, edges }
+}
+
+// Health endpoint
+function handleHealth(req, res) {
+  sendJson(res, 200, {
+    status: 'ok',
+    mode: 'unified',
+    publicKey: bridgePublicKey,
+    clients: clients.size,
+    relayClients: relayClients.size,
+    peers: peers.size,
+    topics: topics.size,
+    agents: agents.size,
+    uptime: (Date.now() - activityStats.startTime) / 1000
+  })
+}
+
+route('GET', '/', handleHealth)
+route('GET', '/health', handleHealth)
+
+// Peers endpoint
+route('GET', '/peers', (req, res) => {
+  const peerList = Array.from(peers.values()).map(p => ({
+    publicKey: p.publicKey,
+    connectedAt: p.connectedAt,
+    lastSeen: p.lastSeen,
+    isClient: p.isClient,
+    isServer: p.isServer,
+    topics: Array.from(p.topics),
+    topicNames: Array.from(p.topics).map(key => topics.get(key)?.name).filter(Boolean)
+  }))
+  sendJson(res, 200, { count: peerList.length, peers: peerList })
+})
+
+// Topics endpoint
+route('GET', '/topics', (req, res) => {
+  const topicList = Array.from(topics.values()).map(t => ({
+    name: t.name,
+    key: t.key,
+    peers: Array.from(t.peers),
+    peerCount: t.peers.size,
+    joinedAt: t.joinedAt,
+    server: t.server,
+    client: t.client,
+    messageCount: t.messageCount,
+    lastActivity: t.lastActivity
+  }))
+  sendJson(res, 200, { count: topicList.length, topics: topicList })
+})
+
+// Agents endpoints
+route('GET', '/agents', (req, res) => {
+  const agentList = Array.from(agents.values()).map(serializeAgent)
+  sendJson(res, 200, { count: agentList.length, agents: agentList })
+})
+
+// Registered before `/agents/:publicKey` so `search` is not taken as a key
+route('GET', '/agents/search', (req, res, { query }) => {
+  sendJson(res, 200, searchAgents(query))
+})
+
+route('GET', '/agents/:publicKey', (req, res, { params }) => {
+  const agent = findAgent(params.publicKey)
+  if (!agent) {
+    sendJson(res, 404, { error: 'Agent not found' })
+    return
+  }
+  sendJson(res, 200, serializeAgent(agent))
+})
+
+// Graph endpoint
+route('GET', '/graph', (req, res) => {
+  sendJson(res, 200, buildGraph())
+})
+
+// Messages endpoint
+route('GET', '/messages', (req, res, { query }) => {
+  sendJson(res, 200, queryArchive(query))
+})
+
+// Activity endpoint
+route('GET', '/activity', (req, res) => {
+  sendJson(res, 200, {
+    uptime: (Date.now() - activityStats.startTime) / 1000,
+    totalMessages: activityStats.totalMessages,
+    totalAgents: activityStats.totalAgents,
+    totalTopics: activityStats.totalTopics,
+    activeAgents: agents.size,
+    activeTopics: topics.size,
+    activePeers: peers.size,
+    activeClients: clients.size,
+    activeRelayClients: relayClients.size,
+    hourlyStats: activityStats.hourlyStats
+  })
+})
+
+// Network endpoint
+route('GET', '/network', (req, res) => {
+  sendJson(res, 200, {
+    bridge: {
+      publicKey: bridgePublicKey,
+      mode: 'unified',
+      uptime: (Date.now() - activityStats.startTime) / 1000
+    },
+    peers: peers.size,
+    topics: topics.size,
+    agents: agents.size,
+    clients: clients.size,
+    relayClients: relayClients.size,
+    messages: archive.index.length
+  })
+})
+
+// Info endpoint
+route('GET', '/info', (req, res) => {
+  sendJson(res, 200, {
+    name: 'Unified Intercom Bridge',
+    version: '2.0.0',
+    mode: 'unified',
+    publicKey: bridgePublicKey,
+    protocols: ['hyperswarm', 'websocket-relay'],
+    features: [
+      'agent-discovery',
+      'sidechannel-protocol',
+      'message-archival',
+      'cross-protocol-relay',
+      'topic-management',
+      'activity-tracking',
+      'network-graph'
+    ],
+    endpoints: [...new Set(routes.map(r => r.pattern).filter(p => p !== '/'))],
+    websocketCommands: ['ping', 'list_peers', 'list_topics', 'list_agents', 'search_agents', 'get_agent', 'get_graph', 'list_messages', 'join_topic', 'leave_topic', 'get_stats', 'get_activity'],
+    relayActions: ['join', 'leave', 'send', 'publish', 'direct'],
+    security: {
+      relayAuth: ENABLE_RELAY_AUTH ? 'enabled' : 'disabled',
+      publicChannels: Array.from(PUBLIC_CHANNELS)
+    }
+  })
 })
 
 // HTTP Server
@@ -418,148 +1585,34 @@ const server = http.createServer((req, res) => {
   
   res.setHeader('Content-Type', 'application/json')
   
-  // Health endpoint
-  if (req.url === '/' || req.url === '/health') {
-    res.writeHead(200)
-    res.end(JSON.stringify({
-      status: 'ok',
-      mode: 'unified',
-      publicKey: bridgePublicKey,
-      clients: clients.size,
-      relayClients: relayClients.size,
-      peers: peers.size,
-      topics: topics.size,
-      agents: agents.size,
-      uptime: (Date.now() - activityStats.startTime) / 1000
-    }))
+  const { pathname, searchParams } = new URL(req.url, 'http://localhost')
+  let matched
+  try {
+    matched = matchRoute(req.method, pathname)
+  } catch {
+    // Malformed percent-encoding in a path parameter
+    sendJson(res, 400, { error: 'Bad request' })
     return
   }
   
-  // Peers endpoint
-  if (req.url === '/peers') {
-    const peerList = Array.from(peers.values()).map(p => ({
-      publicKey: p.publicKey,
-      connectedAt: p.connectedAt,
-      lastSeen: p.lastSeen,
-      isClient: p.isClient,
-      isServer: p.isServer,
-      topics: Array.from(p.topics)
-    }))
-    res.writeHead(200)
-    res.end(JSON.stringify({ count: peerList.length, peers: peerList }))
+  if (!matched) {
+    sendJson(res, 404, { error: 'Not found' })
     return
   }
-  
-  // Topics endpoint
-  if (req.url === '/topics') {
-    const topicList = Array.from(topics.values()).map(t => ({
-      name: t.name,
-      key: t.key,
-      peers: Array.from(t.peers),
-      peerCount: t.peers.size,
-      joinedAt: t.joinedAt,
-      server: t.server,
-      client: t.client,
-      messageCount: t.messageCount,
-      lastActivity: t.lastActivity
-    }))
-    res.writeHead(200)
-    res.end(JSON.stringify({ count: topicList.length, topics: topicList }))
+  if (!matched.handler) {
+    res.setHeader('Allow', matched.allowed.join(', '))
+    sendJson(res, 405, { error: 'Method not allowed' })
     return
   }
   
-  // Agents endpoint
-  if (req.url === '/agents') {
-    const agentList = Array.from(agents.values()).map(a => ({
-      id: a.id,
-      name: a.name,
-      type: a.type,
-      capabilities: a.capabilities,
-      publicKey: a.publicKey,
-      topics: Array.from(a.topics),
-      firstSeen: a.firstSeen,
-      lastSeen: a.lastSeen,
-      metadata: a.metadata
-    }))
-    res.writeHead(200)
-    res.end(JSON.stringify({ count: agentList.length, agents: agentList }))
-    return
-  }
-  
-  // Messages endpoint
-  if (req.url === '/messages' || req.url.startsWith('/messages?')) {
-    res.writeHead(200)
-    res.end(JSON.stringify({ count: messages.length, messages: messages.slice(-100) }))
-    return
+  try {
+    matched.handler(req, res, { params: matched.params, query: Object.fromEntries(searchParams) })
+  } catch (err) {
+    // A failing route must not take the bridge down
+    console.error(`[http] ${req.method} ${pathname} failed:`, err.message)
+    if (!res.headersSent) sendJson(res, 500, { error: 'Internal server error' })
+    else res.end()
   }
-  
-  // Activity endpoint
-  if (req.url === '/activity') {
-    res.writeHead(200)
-    res.end(JSON.stringify({
-      uptime: (Date.now() - activityStats.startTime) / 1000,
-      totalMessages: activityStats.totalMessages,
-      totalAgents: activityStats.totalAgents,
-      totalTopics: activityStats.totalTopics,
-      activeAgents: agents.size,
-      activeTopics: topics.size,
-      activePeers: peers.size,
-      activeClients: clients.size,
-      activeRelayClients: relayClients.size,
-      hourlyStats: activityStats.hourlyStats
-    }))
-    return
-  }
-  
-  // Network endpoint
-  if (req.url === '/network') {
-    res.writeHead(200)
-    res.end(JSON.stringify({
-      bridge: {
-        publicKey: bridgePublicKey,
-        mode: 'unified',
-        uptime: (Date.now() - activityStats.startTime) / 1000
-      },
-      peers: peers.size,
-      topics: topics.size,
-      agents: agents.size,
-      clients: clients.size,
-      relayClients: relayClients.size,
-      messages: messages.length
-    }))
-    return
-  }
-  
-  // Info endpoint
-  if (req.url === '/info') {
-    res.writeHead(200)
-    res.end(JSON.stringify({
-      name: 'Unified Intercom Bridge',
-      version: '2.0.0',
-      mode: 'unified',
-      publicKey: bridgePublicKey,
-      protocols: ['hyperswarm', 'websocket-relay'],
-      features: [
-        'agent-discovery',
-        'message-archival',
-        'cross-protocol-relay',
-        'topic-management',
-        'activity-tracking'
-      ],
-      endpoints: ['/health', '/peers', '/topics', '/agents', '/messages', '/activity', '/network', '/info'],
-      websocketCommands: ['ping', 'list_peers', 'list_topics', 'list_agents', 'join_topic', 'leave_topic', 'get_stats', 'get_activity'],
-      relayActions: ['join', 'leave', 'send', 'publish'],
-      security: {
-        relayAuth: ENABLE_RELAY_AUTH ? 'enabled' : 'disabled',
-        publicChannels: Array.from(PUBLIC_CHANNELS)
-      }
-    }))
-    return
-  }
-  
-  // 404
-  res.writeHead(404)
-  res.end(JSON.stringify({ error: 'Not found' }))
 })
 
 // WebSocket Server (supports both protocols)
@@ -581,7 +1634,9 @@ wss.on('connection', (ws, req) => {
     id: clientId,
     authenticated: !ENABLE_RELAY_AUTH, // Auto-auth if auth disabled
     channels: new Set(),
-    agentId: null
+    agentId: null,
+    // Nonce a relay client signs to claim an agentId on `join`
+    challenge: b4a.toString(crypto.randomBytes(32), 'hex')
   }
   
   ws.on('message', data => {
@@ -629,6 +1684,8 @@ wss.on('connection', (ws, req) => {
         }
       })
       relayClients.delete(ws)
+      const agent = relayClientInfo.agentId ? agents.get(relayClientInfo.agentId) : null
+      if (agent) updateAgentStatus(agent)
     }
   })
   
@@ -639,10 +1696,30 @@ wss.on('connection', (ws, req) => {
     type: 'welcome',
     bridge: bridgePublicKey,
     mode: 'unified',
+    challenge: relayClientInfo.challenge,
     timestamp: Date.now()
   }))
 })
 
+// Relay: Check a `join` claim to `agentId`. The client signs
+// stableStringify({ agentId, bridge, challenge }) with the key the agentId belongs to: the agentId
+// itself when it is a public key, the key of an already verified agent, or `publicKey` otherwise.
+// Returns the proven key hex, or null.
+function verifyAgentClaim(clientInfo, agentId, publicKeyHex, sigHex) {
+  if (typeof agentId !== 'string' || typeof sigHex !== 'string' || sigHex.length !== 128) return null
+  const idAsKey = /^[0-9a-f]{64}$/i.test(agentId) ? agentId.toLowerCase() : null
+  const known = agents.get(agentId)
+  const keyHex = idAsKey ||
+    (known && known.verification !== 'none' ? known.publicKey : normalizeKeyHex(publicKeyHex))
+  if (!keyHex || keyHex.length !== 64) return null
+  try {
+    const body = stableStringify({ agentId, bridge: bridgePublicKey, challenge: clientInfo.challenge })
+    return crypto.verify(b4a.from(body), b4a.from(sigHex, 'hex'), b4a.from(keyHex, 'hex')) ? keyHex : null
+  } catch {
+    return null
+  }
+}
+
 // Handle relay protocol messages (agents-services)
 function handleRelayMessage(ws, msg, clientInfo) {
   const { action, channel, message, agentId, token } = msg
@@ -674,9 +1751,25 @@ function handleRelayMessage(ws, msg, clientInfo) {
   // Handle actions
   switch (action) {
     case 'join':
+      // Claiming an agentId (and with it that agent's directs) needs a signature over the challenge
+      if (agentId && agentId !== clientInfo.agentId) {
+        const agentKey = verifyAgentClaim(clientInfo, agentId, msg.publicKey, msg.sig)
+        if (!agentKey) {
+          ws.send(JSON.stringify({
+            type: 'error',
+            error: 'Agent identity not verified',
+            agentId,
+            channel,
+            timestamp: Date.now()
+          }))
+          return
+        }
+        registerAgent({ id: agentId, publicKey: agentKey, type: 'relay-agent', verification: 'signature' })
+        clientInfo.agentId = agentId
+      }
+      
       // Join a channel
       clientInfo.channels.add(channel)
-      if (agentId) clientInfo.agentId = agentId
       
       if (!relayChannels.has(channel)) {
         relayChannels.set(channel, new Set())
@@ -731,16 +1824,11 @@ function handleRelayMessage(ws, msg, clientInfo) {
       }
       
       console.log(`[relay] Message on ${channel} from ${clientInfo.agentId || clientInfo.id}`)
+      touchAgent(clientInfo.agentId)
       
       // Handle discovery messages
       if (message && message.type === 'discovery') {
-        registerAgent({
-          id: message.agentId,
-          name: message.name,
-          type: 'relay-agent',
-          capabilities: message.capabilities,
-          metadata: message
-        })
+        handleAnnouncement(message, { topic: channel, defaultType: 'relay-agent' })
       }
       
       // Broadcast to other relay clients on this channel
@@ -760,11 +1848,12 @@ function handleRelayMessage(ws, msg, clientInfo) {
       }
       
       // Relay to Hyperswarm if public channel
-      relayToHyperswarm(channel, message, clientInfo.agentId)
+      const relayed = relayToHyperswarm(channel, message)
       
-      // Archive
+      // Archive once, under the sidechannel id when it went out to Hyperswarm
       archiveMessage({
         type: 'relay-message',
+        id: relayed ? relayed.id : undefined,
         channel,
         from: clientInfo.agentId || clientInfo.id,
         message,
@@ -772,6 +1861,46 @@ function handleRelayMessage(ws, msg, clientInfo) {
       })
       break
       
+    case 'direct': {
+      // Send to a single agent: relay client by agentId, or Hyperswarm peer by agentId/public key
+      const { to } = msg
+      const id = msg.id || 'dm-' + Date.now() + '-' + Math.random().toString(36).slice(2, 8)
+      if (!to || typeof to !== 'string') {
+        ws.send(JSON.stringify({
+          type: 'error',
+          error: 'Missing target',
+          id,
+          timestamp: Date.now()
+        }))
+        return
+      }
+      
+      touchAgent(clientInfo.agentId)
+      const from = clientInfo.agentId || clientInfo.id
+      const result = routeDirect(to, { type: 'direct_message', id, from, to, message, timestamp: Date.now() })
+      if (result.error) {
+        console.log(`[direct] ${from} → ${to.slice(0, 16)}: ${result.error}`)
+        ws.send(JSON.stringify({
+          type: 'error',
+          error: result.error,
+          id,
+          to,
+          timestamp: Date.now()
+        }))
+        return
+      }
+      
+      console.log(`[direct] ${from} → ${to.slice(0, 16)} via ${result.via}`)
+      ws.send(JSON.stringify({
+        type: 'direct_ack',
+        id,
+        to,
+        ...result,
+        timestamp: Date.now()
+      }))
+      break
+    }
+      
     default:
       ws.send(JSON.stringify({
         type: 'error',
@@ -802,16 +1931,51 @@ function handleObservatoryMessage(ws, msg) {
       const topicList = Array.from(topics.values()).map(t => ({
         name: t.name,
         key: t.key,
-        peerCount: t.peers.size
+        peerCount: t.peers.size,
+        messageCount: t.messageCount
       }))
       ws.send(JSON.stringify({ type: 'topic-list', topics: topicList }))
       break
       
     case 'list_agents':
-      const agentList = Array.from(agents.values())
+      const agentList = Array.from(agents.values()).map(serializeAgent)
       ws.send(JSON.stringify({ type: 'agent-list', agents: agentList }))
       break
       
+    case 'search_agents':
+      ws.send(JSON.stringify({
+        type: 'agent-search',
+        id: 'evt-' + Date.now(),
+        timestamp: new Date().toISOString(),
+        payload: searchAgents(msg.payload || {})
+      }))
+      break
+      
+    case 'get_agent': {
+      const key = msg.payload?.agentId || msg.payload?.publicKey
+      const agent = findAgent(key)
+      if (!agent) {
+        ws.send(JSON.stringify({ type: 'error', error: 'Agent not found', agentId: key ?? null, timestamp: Date.now() }))
+        break
+      }
+      ws.send(JSON.stringify({
+        type: 'agent',
+        id: 'evt-' + Date.now(),
+        timestamp: new Date().toISOString(),
+        payload: serializeAgent(agent)
+      }))
+      break
+    }
+      
+    case 'get_graph':
+      ws.send(JSON.stringify({
+        type: 'graph',
+        id: 'evt-' + Date.now(),
+        timestamp: new Date().toISOString(),
+        payload: buildGraph()
+      }))
+      break
+      
     case 'join_topic':
       if (msg.payload && msg.payload.name) {
         joinTopic(msg.payload.name, msg.payload)
@@ -832,7 +1996,16 @@ function handleObservatoryMessage(ws, msg) {
         peers: peers.size,
         topics: topics.size,
         agents: agents.size,
-        messages: messages.length
+        messages: archive.index.length
+      }))
+      break
+      
+    case 'list_messages':
+      ws.send(JSON.stringify({
+        type: 'message-list',
+        id: 'evt-' + Date.now(),
+        timestamp: new Date().toISOString(),
+        payload: queryArchive(msg.payload || {})
       }))
       break
       
@@ -856,6 +2029,13 @@ const AUTO_JOIN_TOPICS = [
   'agents-services'
 ]
 
+// Load the message archive and enforce retention periodically
+loadArchive()
+setInterval(pruneArchive, ARCHIVE_PRUNE_INTERVAL_MS).unref()
+
+// Presence sweeps
+setInterval(sweepAgents, AGENT_SWEEP_INTERVAL_MS).unref()
+
 // Start server
 server.listen(PORT, () => {
   console.log(`[server] Unified Bridge listening on :${PORT}`)
@@ -872,6 +2052,7 @@ server.listen(PORT, () => {
 // Cleanup on exit
 process.on('SIGINT', () => {
   console.log('[shutdown] Closing connections...')
+  if (archive.active) fs.closeSync(archive.active.fd)
   swarm.destroy()
   server.close()
   process.exit(0)
@@ -15,7 +15,7 @@ const stableStringify = (value) => {
 };
 
 const normalizeInvitePayload = (payload) => {
-    return {
+    const normalized = {
         channel: String(payload?.channel ?? ''),
         inviteePubKey: String(payload?.inviteePubKey ?? '').trim().toLowerCase(),
         inviterPubKey: String(payload?.inviterPubKey ?? '').trim().toLowerCase(),
@@ -25,6 +25,12 @@ const normalizeInvitePayload = (payload) => {
         nonce: String(payload?.nonce ?? ''),
         version: Number.isFinite(payload?.version) ? Number(payload.version) : 1,
     };
+    // Encrypted channels carry the channel key sealed to the invitee (must match Sidechannel).
+    if (payload?.sealedKey) {
+        normalized.sealedKey = String(payload.sealedKey).trim().toLowerCase();
+        normalized.keyId = String(payload?.keyId ?? '');
+    }
+    return normalized;
 };
 
 const normalizeWelcomePayload = (payload) => {
@@ -221,9 +227,19 @@ class SampleProtocol extends Protocol{
         console.log('- /sc_join --channel "<name>" | join an ephemeral sidechannel (no autobase).');
         console.log('- /sc_open --channel "<name>" [--via "<channel>"] [--invite <json|b64|@file>] [--welcome <json|b64|@file>] | request others to open a sidechannel.');
         console.log('- /sc_send --channel "<name>" --message "<text>" [--invite <json|b64|@file>] | send message over sidechannel.');
-        console.log('- /sc_invite --channel "<name>" --pubkey "<peer-pubkey-hex>" [--ttl <sec>] [--welcome <json|b64|@file>] | create a signed invite.');
+        console.log('- /sc_invite --channel "<name>" --pubkey "<peer-pubkey-hex>" [--ttl <sec>] [--welcome <json|b64|@file>] [--encrypt 1] | create a signed invite (--encrypt seals the channel key to the invitee).');
+        console.log('- /sc_revoke --channel "<name>" (--pubkey "<invitee-pubkey-hex>" | --nonce "<invite-nonce>") | publish a signed revocation for an invite.');
+        console.log('- /sc_ban --channel "<name>" --pubkey "<peer-pubkey-hex>" [--duration <sec>] [--reason "<text>"] [--lift 1] | ban (or unban) a sender and drop its sessions (owners/moderators).');
+        console.log('- /sc_mute --channel "<name>" --pubkey "<peer-pubkey-hex>" [--duration <sec>] [--reason "<text>"] [--lift 1] | mute (or unmute) a sender (owners/moderators).');
+        console.log('- /sc_dm --pubkey "<peer-pubkey-hex>" --message "<text>" | send an encrypted direct message to one peer (content is sealed; sender and recipient keys are visible on the entry channel).');
+        console.log('- /sc_history --channel "<name>" [--since <unix-ms>] | ask connected peers to replay stored channel history.');
+        console.log('- /sc_delegate --channel "<name>" --pubkey "<delegate-pubkey-hex>" [--role writer|moderator] [--ttl <sec>] | grant a signed writer/moderator delegation (owners only).');
+        console.log('- /sc_delegation --delegation <json|b64|@file> | accept a delegation so this peer can publish on an owner-only channel.');
+        console.log('- /sc_undelegate --channel "<name>" --pubkey "<delegate-pubkey-hex>" | publish a signed revocation of every grant issued so far to a delegate (owners only).');
         console.log('- /sc_welcome --channel "<name>" --text "<message>" | create a signed welcome.');
-        console.log('- /sc_stats | show sidechannel channels + connection count.');
+        console.log('- /sc_channels [--advertise 1] | list channels advertised on the entry channel (optionally send our own advert now).');
+        console.log('- /sc_policy [--reload 1] | show the effective sidechannel policy (re-read the policy file first with --reload).');
+        console.log('- /sc_stats | show sidechannel channels, connection count, rate limits and per-channel metrics and relay savings.');
         // further protocol specific options go here
     }
 
@@ -404,8 +420,9 @@ class SampleProtocol extends Protocol{
             const invitee = args.pubkey || args.invitee || args.peer || args.key;
             const ttlRaw = args.ttl || args.ttl_sec || args.ttl_s;
             const welcomeArg = args.welcome || args.welcome_b64 || args.welcomebase64;
+            const encryptRaw = args.encrypt ?? args.encrypted;
             if (!channel || !invitee) {
-                console.log('Usage: /sc_invite --channel "<name>" --pubkey "<peer-pubkey-hex>" [--ttl <sec>] [--welcome <json|b64|@file>]');
+                console.log('Usage: /sc_invite --channel "<name>" --pubkey "<peer-pubkey-hex>" [--ttl <sec>] [--welcome <json|b64|@file>] [--encrypt 1]');
                 return;
             }
             if (!this.peer.sidechannel) {
@@ -448,6 +465,17 @@ class SampleProtocol extends Protocol{
                 return;
             }
             const expiresAt = issuedAt + ttlMs;
+            const encrypt =
+                (encryptRaw !== undefined && ['1', 'true', 'yes', 'on'].includes(String(encryptRaw).trim().toLowerCase())) ||
+                this.peer.sidechannel.isEncrypted(String(channel));
+            let sealed = null;
+            if (encrypt) {
+                sealed = this.peer.sidechannel.sealChannelKey(String(channel), String(invitee));
+                if (!sealed) {
+                    console.log('Failed to seal channel key (invalid invitee pubkey, entry channel, or no key yet and this peer is not the channel key source).');
+                    return;
+                }
+            }
             const payload = normalizeInvitePayload({
                 channel: String(channel),
                 inviteePubKey: String(invitee).trim().toLowerCase(),
@@ -457,6 +485,8 @@ class SampleProtocol extends Protocol{
                 expiresAt,
                 nonce: Math.random().toString(36).slice(2, 10),
                 version: 1,
+                sealedKey: sealed?.sealedKey,
+                keyId: sealed?.keyId,
             });
             const message = stableStringify(payload);
             const msgBuf = b4a.from(message);
@@ -504,6 +534,68 @@ class SampleProtocol extends Protocol{
             console.log('invite_b64:', inviteB64);
             return;
         }
+        if (this.input.startsWith("/sc_delegate")) {
+            const args = this.parseArgs(input);
+            const channel = args.channel || args.ch;
+            const delegate = args.pubkey || args.delegate || args.key;
+            const role = args.role ? String(args.role) : 'writer';
+            const ttlSec = args.ttl !== undefined ? Number.parseInt(String(args.ttl), 10) : 0;
+            if (!channel || !delegate) {
+                console.log('Usage: /sc_delegate --channel "<name>" --pubkey "<delegate-pubkey-hex>" [--role writer|moderator] [--ttl <sec>]');
+                return;
+            }
+            if (!this.peer.sidechannel) {
+                console.log('Sidechannel not initialized.');
+                return;
+            }
+            const delegation = this.peer.sidechannel.createDelegation(String(channel), String(delegate), {
+                role,
+                ttlMs: Number.isFinite(ttlSec) && ttlSec > 0 ? ttlSec * 1000 : 0,
+            });
+            if (!delegation) {
+                console.log('Delegation failed (not an owner of this channel, invalid role, or wallet secret unavailable).');
+                return;
+            }
+            const delegationJson = JSON.stringify(delegation);
+            console.log(delegationJson);
+            console.log('delegation_b64:', b4a.toString(b4a.from(delegationJson), 'base64'));
+            return;
+        }
+        if (this.input.startsWith("/sc_delegation")) {
+            const args = this.parseArgs(input);
+            const delegation = parseInviteArg(args.delegation || args.d);
+            if (!delegation) {
+                console.log('Usage: /sc_delegation --delegation <json|b64|@file>');
+                return;
+            }
+            if (!this.peer.sidechannel) {
+                console.log('Sidechannel not initialized.');
+                return;
+            }
+            const ok = this.peer.sidechannel.acceptDelegation(delegation);
+            console.log(ok ? 'Delegation accepted.' : 'Delegation rejected (bad signature, unknown owner, or expired).');
+            return;
+        }
+        if (this.input.startsWith("/sc_undelegate")) {
+            const args = this.parseArgs(input);
+            const channel = args.channel || args.ch;
+            const delegate = args.pubkey || args.delegate || args.key;
+            if (!channel || !delegate) {
+                console.log('Usage: /sc_undelegate --channel "<name>" --pubkey "<delegate-pubkey-hex>"');
+                return;
+            }
+            if (!this.peer.sidechannel) {
+                console.log('Sidechannel not initialized.');
+                return;
+            }
+            const revocation = this.peer.sidechannel.revokeDelegation(String(channel), String(delegate));
+            if (!revocation) {
+                console.log('Revocation failed (not an owner of this channel, already revoked, or wallet secret unavailable).');
+                return;
+            }
+            console.log(JSON.stringify(revocation));
+            return;
+        }
         if (this.input.startsWith("/sc_welcome")) {
             const args = this.parseArgs(input);
             const channel = args.channel || args.ch || args.name;
@@ -579,6 +671,125 @@ class SampleProtocol extends Protocol{
             console.log('welcome_b64:', welcomeB64);
             return;
         }
+        if (this.input.startsWith("/sc_revoke")) {
+            const args = this.parseArgs(input);
+            const channel = args.channel || args.ch;
+            const invitee = args.pubkey || args.invitee || args.key;
+            const nonce = args.nonce;
+            if (!channel || (!invitee && !nonce)) {
+                console.log('Usage: /sc_revoke --channel "<name>" (--pubkey "<invitee-pubkey-hex>" | --nonce "<invite-nonce>")');
+                return;
+            }
+            if (!this.peer.sidechannel) {
+                console.log('Sidechannel not initialized.');
+                return;
+            }
+            const revocation = this.peer.sidechannel.revokeInvite(String(channel), {
+                inviteePubKey: invitee ? String(invitee) : undefined,
+                nonce: nonce !== undefined ? String(nonce) : undefined,
+            });
+            if (!revocation) {
+                console.log('Revocation failed (not an inviter for this channel, already revoked, or wallet secret unavailable).');
+                return;
+            }
+            console.log(JSON.stringify(revocation));
+            return;
+        }
+        if (this.input.startsWith("/sc_ban") || this.input.startsWith("/sc_mute")) {
+            const args = this.parseArgs(input);
+            const base = this.input.startsWith("/sc_ban") ? 'ban' : 'mute';
+            const channel = args.channel || args.ch;
+            const target = args.pubkey || args.target || args.key;
+            if (!channel || !target) {
+                console.log(`Usage: /sc_${base} --channel "<name>" --pubkey "<peer-pubkey-hex>" [--duration <sec>] [--reason "<text>"] [--lift 1]`);
+                return;
+            }
+            if (!this.peer.sidechannel) {
+                console.log('Sidechannel not initialized.');
+                return;
+            }
+            const lift =
+                args.lift !== undefined && ['1', 'true', 'yes', 'on'].includes(String(args.lift).trim().toLowerCase());
+            const durationSec = args.duration !== undefined ? Number.parseInt(String(args.duration), 10) : 0;
+            const entry = this.peer.sidechannel.moderate(String(channel), String(target), lift ? `un${base}` : base, {
+                durationMs: Number.isFinite(durationSec) && durationSec > 0 ? durationSec * 1000 : 0,
+                reason: args.reason !== undefined ? String(args.reason) : '',
+            });
+            if (!entry) {
+                console.log('Moderation failed (not an owner/moderator, target is an owner, or wallet secret unavailable).');
+                return;
+            }
+            console.log(JSON.stringify(entry.payload));
+            return;
+        }
+        if (this.input.startsWith("/sc_dm")) {
+            const args = this.parseArgs(input);
+            const pubkey = args.pubkey || args.to || args.peer || args.key;
+            const message = args.message || args.msg;
+            if (!pubkey || message === undefined) {
+                console.log('Usage: /sc_dm --pubkey "<peer-pubkey-hex>" --message "<text>"');
+                return;
+            }
+            if (!this.peer.sidechannel) {
+                console.log('Sidechannel not initialized.');
+                return;
+            }
+            const sent = this.peer.sidechannel.sendDirect(String(pubkey), message);
+            if (!sent) {
+                console.log('Direct message failed (invalid pubkey or wallet secret unavailable).');
+                return;
+            }
+            console.log('Direct message sent:', this.peer.sidechannel.directChannel(String(pubkey)));
+            return;
+        }
+        if (this.input.startsWith("/sc_history")) {
+            const args = this.parseArgs(input);
+            const name = args.channel || args.ch;
+            if (!name) {
+                console.log('Usage: /sc_history --channel "<name>" [--since <unix-ms>]');
+                return;
+            }
+            if (!this.peer.sidechannel) {
+                console.log('Sidechannel not initialized.');
+                return;
+            }
+            const since = args.since !== undefined ? Number(args.since) : null;
+            const sent = this.peer.sidechannel.requestHistory(String(name), since);
+            console.log(sent ? 'History requested:' : 'No connected peers for channel:', String(name));
+            return;
+        }
+        if (this.input.startsWith("/sc_channels")) {
+            const args = this.parseArgs(input);
+            if (!this.peer.sidechannel) {
+                console.log('Sidechannel not initialized.');
+                return;
+            }
+            const advertise =
+                args.advertise !== undefined && ['1', 'true', 'yes', 'on'].includes(String(args.advertise).trim().toLowerCase());
+            if (advertise && !this.peer.sidechannel.advertiseChannels()) {
+                console.log('Nothing to advertise (no public channels joined).');
+            }
+            console.log(JSON.stringify(this.peer.sidechannel.listChannels(), null, 2));
+            return;
+        }
+        if (this.input.startsWith("/sc_policy")) {
+            const args = this.parseArgs(input);
+            if (!this.peer.sidechannel) {
+                console.log('Sidechannel not initialized.');
+                return;
+            }
+            const reload =
+                args.reload !== undefined && ['1', 'true', 'yes', 'on'].includes(String(args.reload).trim().toLowerCase());
+            if (reload) {
+                const result = this.peer.sidechannel.reloadPolicy();
+                if (!result.ok) {
+                    console.log(`Policy reload failed: ${result.errors.join('; ')}`);
+                    return;
+                }
+            }
+            console.log(JSON.stringify(this.peer.sidechannel.getPolicy(), null, 2));
+            return;
+        }
         if (this.input.startsWith("/sc_stats")) {
             if (!this.peer.sidechannel) {
                 console.log('Sidechannel not initialized.');
@@ -586,7 +797,13 @@ class SampleProtocol extends Protocol{
             }
             const channels = Array.from(this.peer.sidechannel.channels.keys());
             const connectionCount = this.peer.sidechannel.connections.size;
-            console.log({ channels, connectionCount });
+            const powDifficulty = Object.fromEntries(
+                channels.map((channel) => [channel, this.peer.sidechannel.getPowDifficulty(channel)])
+            );
+            const rates = this.peer.sidechannel.getRateStats();
+            const metrics = this.peer.sidechannel.getMetrics().channels;
+            const relay = this.peer.sidechannel.getRelayStats();
+            console.log({ channels, connectionCount, powDifficulty, rates, metrics, relay });
             return;
         }
         if (this.input.startsWith("/print")) {
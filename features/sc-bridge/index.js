@@ -55,6 +55,33 @@ const matchesFilter = (filter, text) => {
   return filter.some((group) => group.every((word) => haystack.includes(word)));
 };
 
+// Token scopes: read = receive events and query state, send = send/open/request/respond,
+// join = join/leave channels, moderate = issue mute/ban actions, cli = run CLI commands
+// (also needs --sc-bridge-cli).
+const SCOPES = ['read', 'send', 'join', 'moderate', 'cli'];
+
+const FULL_GRANT = { name: 'default', scopes: new Set(SCOPES), channels: null };
+
+// Normalize a token file entry: { name, token, scopes: [...], channels: [...] }.
+// `channels` omitted or containing "*" allows every channel.
+const normalizeGrant = (entry, index) => {
+  if (!entry || typeof entry !== 'object') return null;
+  const token = typeof entry.token === 'string' ? entry.token.trim() : '';
+  if (!token) return null;
+  const rawScopes = Array.isArray(entry.scopes) ? entry.scopes.map((s) => String(s).trim()) : [];
+  const scopes = rawScopes.includes('*') ? SCOPES.slice() : rawScopes;
+  if (scopes.length === 0 || scopes.some((scope) => !SCOPES.includes(scope))) return null;
+  const channels = Array.isArray(entry.channels)
+    ? entry.channels.map((c) => String(c).trim()).filter(Boolean)
+    : null;
+  return {
+    token,
+    name: typeof entry.name === 'string' && entry.name.trim() ? entry.name.trim() : `token-${index}`,
+    scopes: new Set(scopes),
+    channels: !channels || channels.includes('*') ? null : new Set(channels),
+  };
+};
+
 class ScBridge extends Feature {
   constructor(peer, config = {}) {
     super(peer, config);
@@ -69,6 +96,22 @@ class ScBridge extends Feature {
     this.host = typeof config.host === 'string' ? config.host : '127.0.0.1';
     this.port = Number.isSafeInteger(config.port) ? config.port : 49222;
     this.token = typeof config.token === 'string' && config.token.length > 0 ? config.token : null;
+    // token -> { name, scopes: Set, channels: Set|null }; the shared --sc-bridge-token keeps full access.
+    this.tokens = new Map();
+    if (this.token) this.tokens.set(this.token, FULL_GRANT);
+    const tokenEntries = Array.isArray(config.tokens) ? config.tokens : [];
+    tokenEntries.forEach((entry, index) => {
+      const grant = normalizeGrant(entry, index);
+      if (!grant) {
+        console.warn(`[sc-bridge] ignoring invalid token entry #${index} (needs token and scopes from ${SCOPES.join(', ')})`);
+        return;
+      }
+      if (this.tokens.has(grant.token)) {
+        console.warn(`[sc-bridge] duplicate token for "${grant.name}"; keeping the first entry`);
+        return;
+      }
+      this.tokens.set(grant.token, { name: grant.name, scopes: grant.scopes, channels: grant.channels });
+    });
     this.requireAuth = config.requireAuth !== false;
     this.cliEnabled = config.cliEnabled === true;
     this.debug = config.debug === true;
@@ -83,6 +126,11 @@ class ScBridge extends Feature {
 
   attachSidechannel(sidechannel) {
     this.sidechannel = sidechannel;
+    if (typeof sidechannel?.on === 'function') {
+      sidechannel.on('message', ({ channel, payload, connection }) =>
+        this.handleSidechannelMessage(channel, payload, connection)
+      );
+    }
   }
 
   _broadcastToClient(client, payload) {
@@ -92,7 +140,15 @@ class ScBridge extends Feature {
     } catch (_e) {}
   }
 
+  _allows(client, scope, channel = null) {
+    const grant = client.grant;
+    if (!grant || !grant.scopes.has(scope)) return false;
+    if (channel !== null && grant.channels && !grant.channels.has(channel)) return false;
+    return true;
+  }
+
   _shouldEmit(client, channel, messageText) {
+    if (!this._allows(client, 'read', channel)) return false;
     if (client.channels && client.channels.size > 0 && !client.channels.has(channel)) {
       return false;
     }
@@ -104,7 +160,8 @@ class ScBridge extends Feature {
   handleSidechannelMessage(channel, payload, _connection) {
     const messageText = normalizeText(payload?.message ?? payload);
     const event = {
-      type: 'sidechannel_message',
+      // Direct messages arrive on their pairwise `dm:` channel, already decrypted by Sidechannel.
+      type: payload?.direct ? 'direct_message' : 'sidechannel_message',
       channel,
       id: payload?.id ?? null,
       from: payload?.from ?? null,
@@ -133,6 +190,29 @@ class ScBridge extends Feature {
     }
   }
 
+  handleRpcRequest(channel, request, _payload, _connection) {
+    // RPC requests addressed to this peer are forwarded to clients, which answer with `respond`.
+    const event = {
+      type: 'rpc_request',
+      channel,
+      requestId: request.id,
+      from: request.from,
+      method: request.method,
+      params: request.params,
+      ts: Date.now(),
+    };
+    let delivered = 0;
+    for (const client of this.clients) {
+      if (!client.ready) continue;
+      // Only clients that may answer on this channel see requests.
+      if (!this._allows(client, 'read', channel) || !this._allows(client, 'send', channel)) continue;
+      if (client.channels && client.channels.size > 0 && !client.channels.has(channel)) continue;
+      this._broadcastToClient(client, event);
+      delivered += 1;
+    }
+    return delivered > 0;
+  }
+
   _sendError(client, error) {
     this._broadcastToClient(client, { type: 'error', error });
   }
@@ -142,7 +222,11 @@ class ScBridge extends Feature {
       this._sendError(client, 'Invalid message.');
       return;
     }
-    const reqId = Number.isInteger(message.id) ? message.id : null;
+    // Client correlation id, echoed on every reply (numbers and short strings).
+    const reqId =
+      Number.isInteger(message.id) || (typeof message.id === 'string' && message.id.length > 0 && message.id.length <= 128)
+        ? message.id
+        : null;
     const reply = (payload) => {
       if (reqId !== null) {
         this._broadcastToClient(client, { id: reqId, ...payload });
@@ -153,14 +237,21 @@ class ScBridge extends Feature {
     const sendError = (error) => reply({ type: 'error', error });
 
     if (message.type === 'auth') {
-      if (!this.token) {
+      if (this.tokens.size === 0) {
         sendError('Auth not enabled.');
         return;
       }
-      if (message.token === this.token) {
+      const grant = typeof message.token === 'string' ? this.tokens.get(message.token) : null;
+      if (grant) {
         client.authed = true;
         client.ready = true;
-        reply({ type: 'auth_ok' });
+        client.grant = grant;
+        reply({
+          type: 'auth_ok',
+          name: grant.name,
+          scopes: Array.from(grant.scopes),
+          channels: grant.channels ? Array.from(grant.channels) : null,
+        });
         return;
       }
       sendError('Unauthorized.');
@@ -172,6 +263,39 @@ class ScBridge extends Feature {
       return;
     }
 
+    // Scope checks per type; channel allow-lists are checked where the channel is known.
+    const scopeByType = {
+      cli: 'cli',
+      ping: 'read',
+      set_filter: 'read',
+      clear_filter: 'read',
+      subscribe: 'read',
+      unsubscribe: 'read',
+      stats: 'read',
+      info: 'read',
+      moderation: 'read',
+      policy: 'read',
+      list_channels: 'read',
+      send: 'send',
+      open: 'send',
+      request: 'send',
+      respond: 'send',
+      send_direct: 'send',
+      join: 'join',
+      leave: 'join',
+      moderate: 'moderate',
+    };
+    const requiredScope = scopeByType[message.type];
+    if (requiredScope && !this._allows(client, requiredScope)) {
+      sendError(`Forbidden (missing scope: ${requiredScope}).`);
+      return;
+    }
+    const denyChannel = (channel) => {
+      if (this._allows(client, requiredScope, channel)) return false;
+      sendError(`Forbidden (channel not allowed: ${channel}).`);
+      return true;
+    };
+
     switch (message.type) {
       case 'cli': {
         if (!this.cliEnabled) {
@@ -225,6 +349,8 @@ class ScBridge extends Feature {
           : message.channel
             ? [message.channel]
             : [];
+        const denied = channels.map((ch) => String(ch)).find((ch) => !this._allows(client, 'read', ch));
+        if (denied !== undefined && denyChannel(denied)) return;
         if (!client.channels) client.channels = new Set();
         for (const ch of channels) client.channels.add(String(ch));
         reply({ type: 'subscribed', channels: Array.from(client.channels) });
@@ -251,6 +377,7 @@ class ScBridge extends Feature {
           sendError('Missing channel.');
           return;
         }
+        if (denyChannel(channel)) return;
         const payload = message.message;
         const invite = parseJsonOrBase64(message.invite);
         const welcome = parseJsonOrBase64(message.welcome);
@@ -281,6 +408,183 @@ class ScBridge extends Feature {
         reply({ type: 'sent', channel });
         return;
       }
+      case 'request': {
+        if (!this.sidechannel) {
+          sendError('Sidechannel not ready.');
+          return;
+        }
+        const channel = String(message.channel || '').trim();
+        const to = String(message.to || '').trim();
+        const method = String(message.method || '').trim();
+        if (!channel) {
+          sendError('Missing channel.');
+          return;
+        }
+        if (denyChannel(channel)) return;
+        if (!to) {
+          sendError('Missing target.');
+          return;
+        }
+        if (!method) {
+          sendError('Missing method.');
+          return;
+        }
+        const timeout = Number.isSafeInteger(message.timeout) ? message.timeout : undefined;
+        this.sidechannel
+          .request(channel, to, method, message.params ?? null, { timeout })
+          .then((result) => {
+            reply({ type: 'response', channel, to, method, result });
+          })
+          .catch((err) => {
+            reply({
+              type: 'error',
+              error: err?.message ?? String(err),
+              code: err?.code ?? null,
+              data: err?.data ?? null,
+              channel,
+              to,
+              method,
+            });
+          });
+        return;
+      }
+      case 'respond': {
+        if (!this.sidechannel) {
+          sendError('Sidechannel not ready.');
+          return;
+        }
+        const channel = String(message.channel || '').trim();
+        const to = String(message.to || '').trim();
+        const requestId = message.requestId === undefined || message.requestId === null ? '' : String(message.requestId);
+        if (!channel) {
+          sendError('Missing channel.');
+          return;
+        }
+        if (denyChannel(channel)) return;
+        if (!to || !requestId) {
+          sendError('Missing target or requestId.');
+          return;
+        }
+        const ok = this.sidechannel.respond(channel, to, requestId, {
+          result: message.result,
+          error: message.error,
+        });
+        if (!ok) {
+          sendError('Respond denied (invite required or invalid).');
+          return;
+        }
+        reply({ type: 'responded', channel, to, requestId });
+        return;
+      }
+      case 'send_direct': {
+        if (!this.sidechannel) {
+          sendError('Sidechannel not ready.');
+          return;
+        }
+        const to = String(message.to || '').trim().toLowerCase();
+        const channel = to ? this.sidechannel.directChannel(to) : null;
+        if (!channel) {
+          sendError('Missing target.');
+          return;
+        }
+        if (denyChannel(channel)) return;
+        const ok = this.sidechannel.sendDirect(to, message.message);
+        if (!ok) {
+          sendError('Direct send failed (invalid recipient key or no entry channel).');
+          return;
+        }
+        reply({ type: 'sent_direct', to, channel });
+        return;
+      }
+      case 'moderate': {
+        if (!this.sidechannel) {
+          sendError('Sidechannel not ready.');
+          return;
+        }
+        const channel = String(message.channel || '').trim();
+        const target = String(message.pubkey || message.target || '').trim().toLowerCase();
+        const action = String(message.action || '').trim();
+        if (!channel) {
+          sendError('Missing channel.');
+          return;
+        }
+        if (denyChannel(channel)) return;
+        if (!target || !['mute', 'ban', 'unmute', 'unban'].includes(action)) {
+          sendError('Missing target or invalid action (mute, ban, unmute, unban).');
+          return;
+        }
+        const durationSec = Number(message.duration);
+        const entry = this.sidechannel.moderate(channel, target, action, {
+          durationMs: Number.isFinite(durationSec) && durationSec > 0 ? Math.floor(durationSec * 1000) : 0,
+          reason: message.reason !== undefined ? String(message.reason) : '',
+        });
+        if (!entry) {
+          sendError('Moderation denied (not an owner/moderator of the channel, or target is an owner).');
+          return;
+        }
+        reply({
+          type: 'moderated',
+          channel,
+          pubkey: target,
+          action,
+          expiresAt: entry.payload.expiresAt || null,
+        });
+        return;
+      }
+      case 'moderation': {
+        if (!this.sidechannel) {
+          sendError('Sidechannel not ready.');
+          return;
+        }
+        const channel = String(message.channel || '').trim();
+        if (!channel) {
+          sendError('Missing channel.');
+          return;
+        }
+        if (denyChannel(channel)) return;
+        const entries = this.sidechannel.getModeration(channel).map((entry) => ({
+          pubkey: entry.payload.targetPubKey,
+          action: entry.payload.action,
+          reason: entry.payload.reason || null,
+          moderator: entry.payload.moderatorPubKey,
+          issuedAt: entry.payload.issuedAt,
+          expiresAt: entry.payload.expiresAt || null,
+        }));
+        reply({ type: 'moderation', channel, entries });
+        return;
+      }
+      case 'list_channels': {
+        if (!this.sidechannel) {
+          sendError('Sidechannel not ready.');
+          return;
+        }
+        const channels = this.sidechannel.listChannels().filter((row) => this._allows(client, 'read', row.channel));
+        reply({ type: 'channels', channels });
+        return;
+      }
+      case 'policy': {
+        if (!this.sidechannel) {
+          sendError('Sidechannel not ready.');
+          return;
+        }
+        // Only report per-channel rules for channels this client may read.
+        const policy = this.sidechannel.getPolicy();
+        const readable = (channel) => this._allows(client, 'read', channel);
+        const filterList = (list) => (list ? list.filter(readable) : null);
+        const filterMap = (map) => Object.fromEntries(Object.entries(map).filter(([channel]) => readable(channel)));
+        reply({
+          type: 'policy',
+          policy: {
+            ...policy,
+            ownerKeys: filterMap(policy.ownerKeys),
+            ownerWriteChannels: filterList(policy.ownerWriteChannels),
+            inviteRequiredChannels: filterList(policy.inviteRequiredChannels),
+            powRequiredChannels: filterList(policy.powRequiredChannels),
+            welcomes: filterMap(policy.welcomes),
+          },
+        });
+        return;
+      }
       case 'join': {
         if (!this.sidechannel) {
           sendError('Sidechannel not ready.');
@@ -291,6 +595,7 @@ class ScBridge extends Feature {
           sendError('Missing channel.');
           return;
         }
+        if (denyChannel(channel)) return;
         const invite = parseJsonOrBase64(message.invite);
         const welcome = parseJsonOrBase64(message.welcome);
         if (message.invite && !invite) {
@@ -328,6 +633,7 @@ class ScBridge extends Feature {
           sendError('Missing channel.');
           return;
         }
+        if (denyChannel(channel)) return;
         this.sidechannel
           .removeChannel(channel)
           .then((ok) => {
@@ -350,7 +656,9 @@ class ScBridge extends Feature {
           sendError('Missing channel.');
           return;
         }
+        if (denyChannel(channel)) return;
         const via = message.via ? String(message.via) : null;
+        if (denyChannel(via || this.sidechannel.entryChannel || '')) return;
         const invite = parseJsonOrBase64(message.invite);
         const welcome = parseJsonOrBase64(message.welcome);
         if (message.invite && !invite) {
@@ -374,12 +682,33 @@ class ScBridge extends Feature {
           sendError('Sidechannel not ready.');
           return;
         }
-        const channels = Array.from(this.sidechannel.channels.keys());
+        const channels = Array.from(this.sidechannel.channels.keys()).filter((ch) =>
+          this._allows(client, 'read', ch)
+        );
         const connectionCount = this.sidechannel.connections.size;
+        const powDifficulty = Object.fromEntries(
+          channels.map((channel) => [channel, this.sidechannel.getPowDifficulty(channel)])
+        );
+        const rateStats = this.sidechannel.getRateStats();
+        const rates = {
+          ...rateStats,
+          channels: Object.fromEntries(channels.map((channel) => [channel, rateStats.channels[channel] ?? null])),
+        };
+        const channelMetrics = this.sidechannel.getMetrics().channels;
+        const metrics = Object.fromEntries(channels.map((channel) => [channel, channelMetrics[channel] ?? null]));
+        const relayStats = this.sidechannel.getRelayStats();
+        const relay = {
+          ...relayStats,
+          channels: Object.fromEntries(channels.map((channel) => [channel, relayStats.channels[channel] ?? null])),
+        };
         reply({
           type: 'stats',
           channels,
           connectionCount,
+          powDifficulty,
+          rates,
+          metrics,
+          relay,
           sidechannelStarted: this.sidechannel.started === true,
         });
         return;
@@ -539,8 +868,8 @@ class ScBridge extends Feature {
 
   start() {
     if (this.started) return;
-    if (this.requireAuth && !this.token) {
-      throw new Error('SC-Bridge requires --sc-bridge-token when auth is required.');
+    if (this.requireAuth && this.tokens.size === 0) {
+      throw new Error('SC-Bridge requires --sc-bridge-token or --sc-bridge-tokens when auth is required.');
     }
     this.started = true;
     this.server = new ws.Server({ host: this.host, port: this.port }, (socket) => {
@@ -548,6 +877,7 @@ class ScBridge extends Feature {
         socket,
         ready: !this.requireAuth,
         authed: !this.requireAuth,
+        grant: this.requireAuth ? null : FULL_GRANT,
         filter: this.defaultFilter,
         channels: null,
       };
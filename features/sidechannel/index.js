@@ -2,6 +2,11 @@ import Feature from 'trac-peer/src/artifacts/feature.js';
 import b4a from 'b4a';
 import c from '../../node_modules/compact-encoding/index.js';
 import crypto from 'crypto';
+import EventEmitter from 'events';
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import sodium from 'sodium-universal';
 import PeerWallet from 'trac-wallet';
 
 // Join topics must be deterministic and collision-resistant.
@@ -22,6 +27,14 @@ const stableStringify = (value) => {
 
 const sha256Hex = (input) => crypto.createHash('sha256').update(input).digest('hex');
 
+// Replace a file via temp file + rename so a crash never leaves it half-written; owner-only mode.
+const writeFileAtomic = (filePath, data) => {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.tmp`;
+  fs.writeFileSync(tmpPath, data, { mode: 0o600 });
+  fs.renameSync(tmpPath, filePath);
+};
+
 const normalizeKeyHex = (value) => {
   if (!value) return null;
   if (b4a.isBuffer(value)) return b4a.toString(value, 'hex');
@@ -40,6 +53,229 @@ const normalizeKeyHex = (value) => {
 
 const normalizeChannel = (value) => String(value || '').trim();
 
+const ENCRYPTION_SCHEME = 'secretbox-v1';
+const DIRECT_SCHEME = 'box-v1';
+const DELEGATION_ROLES = ['writer', 'moderator'];
+// Channel/origin buckets hold this many seconds of their rate as burst.
+const RATE_BURST_SECONDS = 4;
+// History only stores payloads stamped at most this far ahead of the local clock.
+const HISTORY_MAX_SKEW_MS = 5 * 60_000;
+// flood: forward to every neighbor. gossip: forward to at most relayFanout neighbors that are
+// not known to have the message. plumtree: eager push along a self-pruning tree, `ihave`
+// announcements to the rest, which `graft` anything they never received.
+const RELAY_MODES = ['flood', 'gossip', 'plumtree'];
+// Controls that only concern the direct neighbor; they are never relayed.
+const NEIGHBOR_CONTROLS = new Set([
+  'auth',
+  'welcome',
+  'history',
+  'history_reply',
+  'revoke',
+  'moderation',
+  'pow',
+  'ihave',
+  'graft',
+  'prune',
+]);
+// Bounds on what a single channel advert may carry.
+const ADVERT_MAX_CHANNELS = 50;
+const ADVERT_MAX_DESCRIPTION = 280;
+// Hashes tried per PoW batch before yielding back to the event loop.
+const POW_BATCH = 2048;
+// unmute/unban lift an earlier action for the same target.
+const MODERATION_ACTIONS = ['mute', 'ban', 'unmute', 'unban'];
+
+// [field, metric name, help] for the per-channel counters rendered by renderMetrics().
+const METRIC_COUNTERS = [
+  ['messagesIn', 'sidechannel_messages_received_total', 'Payloads received from neighbors.'],
+  ['bytesIn', 'sidechannel_bytes_received_total', 'Payload bytes received from neighbors.'],
+  ['messagesOut', 'sidechannel_messages_sent_total', 'Payloads sent to neighbors (one per connection).'],
+  ['bytesOut', 'sidechannel_bytes_sent_total', 'Payload bytes sent to neighbors.'],
+  ['relayed', 'sidechannel_relayed_total', 'Payloads forwarded on behalf of other peers.'],
+  ['relayCopies', 'sidechannel_relay_copies_total', 'Relayed copies sent to neighbors.'],
+  ['relaySaved', 'sidechannel_relay_saved_total', 'Relay copies avoided by fanout limits, have-tracking or lazy push.'],
+  ['powSolved', 'sidechannel_pow_solved_total', 'Proof-of-work puzzles solved for outgoing payloads.'],
+  ['rateLimitBlocks', 'sidechannel_rate_limit_blocks_total', 'Connections temporarily blocked by the rate limiter.'],
+  ['authFailures', 'sidechannel_auth_failures_total', 'Payloads dropped for a missing, invalid or revoked invite.'],
+];
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+// Config keys that form the sidechannel policy; a policy file may set any of them and is
+// layered over the values given at startup.
+const POLICY_BOOLEANS = ['ownerWriteOnly', 'welcomeRequired', 'inviteRequired', 'powEnabled', 'powRequireEntry'];
+const POLICY_CHANNEL_LISTS = ['ownerWriteChannels', 'inviteRequiredChannels', 'inviteRequiredPrefixes', 'powRequiredChannels'];
+const POLICY_FIELDS = [
+  ...POLICY_BOOLEANS,
+  ...POLICY_CHANNEL_LISTS,
+  'powDifficulty',
+  'inviterKeys',
+  'ownerKeys',
+  'defaultOwnerKey',
+  'welcomeByChannel',
+  'rules',
+];
+
+// Pattern rules: { channel | prefix | glob, owners?, ownerWrite?, invite?, pow?, welcome?, rate?, relay? }.
+// For each setting the most specific matching rule wins: exact names, then prefixes (longest
+// first), then globs (most literal characters first); ties go to the rule listed first.
+// Settings no rule decides fall back to the flat fields above.
+const RULE_MATCHERS = ['channel', 'prefix', 'glob'];
+const RULE_BOOLEANS = ['ownerWrite', 'invite', 'pow', 'welcome'];
+
+// `*` matches any run of characters (including `/`), `?` exactly one.
+const globToRegExp = (glob) =>
+  new RegExp(
+    `^${Array.from(glob, (ch) => (ch === '*' ? '.*' : ch === '?' ? '.' : ch.replace(/[.+^${}()|[\]\\]/g, '\\$&'))).join('')}$`
+  );
+
+const compileRules = (rules) =>
+  rules
+    .map((rule, index) => {
+      if (rule.channel !== undefined) {
+        return { rule, index, rank: 0, weight: 0, test: (name) => name === rule.channel };
+      }
+      if (rule.prefix !== undefined) {
+        return { rule, index, rank: 1, weight: -rule.prefix.length, test: (name) => name.startsWith(rule.prefix) };
+      }
+      const pattern = globToRegExp(rule.glob);
+      const literals = rule.glob.replace(/[*?]/g, '').length;
+      return { rule, index, rank: 2, weight: -literals, test: (name) => pattern.test(name) };
+    })
+    .sort((a, b) => a.rank - b.rank || a.weight - b.weight || a.index - b.index);
+
+const entriesOf = (value) =>
+  value instanceof Map
+    ? Array.from(value.entries())
+    : Array.isArray(value)
+      ? value
+      : value && typeof value === 'object'
+        ? Object.entries(value)
+        : [];
+
+const isKeyHex = (value) => typeof value === 'string' && /^[0-9a-f]{64}$/.test(value);
+
+// Validates policy fields into plain JSON. Malformed fields are reported and left out;
+// strict mode (policy files) also rejects unknown fields.
+const normalizePolicy = (raw, strict = false) => {
+  const policy = {};
+  const errors = [];
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { policy, errors: ['policy must be a JSON object'] };
+  }
+  if (strict) {
+    for (const field of Object.keys(raw)) {
+      if (field !== 'version' && !POLICY_FIELDS.includes(field)) errors.push(`unknown field: ${field}`);
+    }
+  }
+  for (const field of POLICY_BOOLEANS) {
+    if (raw[field] === undefined) continue;
+    if (typeof raw[field] === 'boolean') policy[field] = raw[field];
+    else errors.push(`${field} must be a boolean`);
+  }
+  for (const field of POLICY_CHANNEL_LISTS) {
+    if (raw[field] === undefined || raw[field] === null) continue;
+    if (!Array.isArray(raw[field]) || !raw[field].every((value) => typeof value === 'string')) {
+      errors.push(`${field} must be an array of channel names`);
+      continue;
+    }
+    policy[field] = raw[field].map((value) => normalizeChannel(value)).filter((value) => value.length > 0);
+  }
+  if (raw.powDifficulty !== undefined) {
+    if (Number.isInteger(raw.powDifficulty) && raw.powDifficulty >= 0 && raw.powDifficulty <= 256) {
+      policy.powDifficulty = raw.powDifficulty;
+    } else {
+      errors.push('powDifficulty must be an integer between 0 and 256');
+    }
+  }
+  if (raw.inviterKeys !== undefined && raw.inviterKeys !== null) {
+    const keys = Array.isArray(raw.inviterKeys) ? raw.inviterKeys.map((value) => normalizeKeyHex(value)) : null;
+    if (keys && keys.every(isKeyHex)) policy.inviterKeys = keys;
+    else errors.push('inviterKeys must be an array of 32-byte hex keys');
+  }
+  if (raw.defaultOwnerKey !== undefined && raw.defaultOwnerKey !== null) {
+    const key = normalizeKeyHex(raw.defaultOwnerKey);
+    if (isKeyHex(key)) policy.defaultOwnerKey = key;
+    else errors.push('defaultOwnerKey must be a 32-byte hex key');
+  }
+  if (raw.ownerKeys !== undefined && raw.ownerKeys !== null) {
+    const ownerKeys = {};
+    // A channel may have several owners: values can be a single key or an array of keys.
+    for (const entry of entriesOf(raw.ownerKeys)) {
+      const [channel, value] = Array.isArray(entry) ? entry : [];
+      const normalizedChannel = normalizeChannel(channel);
+      const keys = (Array.isArray(value) ? value : [value]).map((key) => normalizeKeyHex(key));
+      if (!normalizedChannel || !keys.every(isKeyHex)) {
+        errors.push(`ownerKeys.${normalizedChannel || '?'} must be a 32-byte hex key or an array of them`);
+        continue;
+      }
+      const merged = ownerKeys[normalizedChannel] || [];
+      for (const key of keys) if (!merged.includes(key)) merged.push(key);
+      ownerKeys[normalizedChannel] = merged;
+    }
+    policy.ownerKeys = ownerKeys;
+  }
+  if (raw.welcomeByChannel !== undefined && raw.welcomeByChannel !== null) {
+    const welcomes = {};
+    for (const entry of entriesOf(raw.welcomeByChannel)) {
+      const [channel, welcome] = Array.isArray(entry) ? entry : [];
+      const normalizedChannel = normalizeChannel(channel);
+      if (!normalizedChannel || !welcome || typeof welcome !== 'object') {
+        errors.push(`welcomeByChannel.${normalizedChannel || '?'} must be a signed welcome object`);
+        continue;
+      }
+      welcomes[normalizedChannel] = welcome;
+    }
+    policy.welcomeByChannel = welcomes;
+  }
+  if (raw.rules !== undefined && raw.rules !== null) {
+    if (!Array.isArray(raw.rules)) {
+      errors.push('rules must be an array');
+    } else {
+      const rules = [];
+      raw.rules.forEach((value, index) => {
+        const where = `rules[${index}]`;
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+          errors.push(`${where} must be an object`);
+          return;
+        }
+        const matchers = RULE_MATCHERS.filter((field) => value[field] !== undefined);
+        if (matchers.length !== 1 || typeof value[matchers[0]] !== 'string' || !normalizeChannel(value[matchers[0]])) {
+          errors.push(`${where} needs exactly one of channel, prefix or glob`);
+          return;
+        }
+        const rule = { [matchers[0]]: normalizeChannel(value[matchers[0]]) };
+        for (const field of RULE_BOOLEANS) {
+          if (value[field] === undefined) continue;
+          if (typeof value[field] === 'boolean') rule[field] = value[field];
+          else errors.push(`${where}.${field} must be a boolean`);
+        }
+        if (value.owners !== undefined) {
+          const keys = (Array.isArray(value.owners) ? value.owners : [value.owners]).map((key) => normalizeKeyHex(key));
+          if (keys.length > 0 && keys.every(isKeyHex)) rule.owners = Array.from(new Set(keys));
+          else errors.push(`${where}.owners must be a 32-byte hex key or an array of them`);
+        }
+        if (value.rate !== undefined) {
+          if (value.rate && typeof value.rate === 'object') rule.rate = normalizeRateLimit(value.rate);
+          else errors.push(`${where}.rate must be { bytesPerSecond, messagesPerSecond }`);
+        }
+        if (value.relay !== undefined) {
+          if (RELAY_MODES.includes(value.relay)) rule.relay = value.relay;
+          else errors.push(`${where}.relay must be one of ${RELAY_MODES.join(', ')}`);
+        }
+        for (const field of Object.keys(value)) {
+          if (strict && !RULE_MATCHERS.includes(field) && !RULE_BOOLEANS.includes(field) && !['owners', 'rate', 'relay'].includes(field)) {
+            errors.push(`${where}: unknown field ${field}`);
+          }
+        }
+        rules.push(rule);
+      });
+      policy.rules = rules;
+    }
+  }
+  return { policy, errors };
+};
+
 const countLeadingZeroBits = (hex) => {
   let bits = 0;
   for (let i = 0; i < hex.length; i += 1) {
@@ -57,6 +293,15 @@ const countLeadingZeroBits = (hex) => {
   return bits;
 };
 
+const normalizeRateLimit = (value) => {
+  const bytesPerSecond = Number(value?.bytesPerSecond);
+  const messagesPerSecond = Number(value?.messagesPerSecond);
+  return {
+    bytesPerSecond: Number.isFinite(bytesPerSecond) && bytesPerSecond > 0 ? bytesPerSecond : 0,
+    messagesPerSecond: Number.isFinite(messagesPerSecond) && messagesPerSecond > 0 ? messagesPerSecond : 0,
+  };
+};
+
 class Sidechannel extends Feature {
   constructor(peer, config = {}) {
     super(peer, config);
@@ -67,6 +312,14 @@ class Sidechannel extends Feature {
     this.started = false;
     this._dhtBootPromise = null;
     this.onMessage = typeof config.onMessage === 'function' ? config.onMessage : null;
+    // Typed events: message, drop, peer_open, peer_close, auth, welcome, channel_open_request, policy.
+    this.events = new EventEmitter();
+    // RPC: requests addressed to this peer go to a registered method, else to onRpcRequest
+    // (return true to answer later via respond()), else get a method_not_found error reply.
+    this.onRpcRequest = typeof config.onRpcRequest === 'function' ? config.onRpcRequest : null;
+    this.rpcTimeoutMs = Number.isSafeInteger(config.rpcTimeoutMs) ? config.rpcTimeoutMs : 10_000;
+    this.rpcMethods = new Map();
+    this.rpcPending = new Map();
     this.debug = config.debug === true;
     this.maxMessageBytes = Number.isSafeInteger(config.maxMessageBytes)
       ? config.maxMessageBytes
@@ -76,6 +329,34 @@ class Sidechannel extends Feature {
     this.autoJoinOnOpen = config.autoJoinOnOpen === true;
     this.relayEnabled = config.relayEnabled !== false;
     this.relayTtl = Number.isSafeInteger(config.relayTtl) ? config.relayTtl : 3;
+    this.relayMode = RELAY_MODES.includes(config.relayMode) ? config.relayMode : 'flood';
+    this.relayModes = new Map(
+      entriesOf(config.relayModes)
+        .filter(([, mode]) => RELAY_MODES.includes(mode))
+        .map(([channel, mode]) => [normalizeChannel(channel), mode])
+    );
+    this.relayFanout = Number.isSafeInteger(config.relayFanout) && config.relayFanout > 0 ? config.relayFanout : 3;
+    // Message ids each neighbor is known to have (sent to us, sent by us or announced), per session.
+    this.relayHaveLimit = Number.isSafeInteger(config.relayHaveLimit) ? config.relayHaveLimit : 1024;
+    this.lazyPushDelayMs = Number.isSafeInteger(config.lazyPushDelayMs) ? config.lazyPushDelayMs : 200;
+    this.graftTimeoutMs = Number.isSafeInteger(config.graftTimeoutMs) ? config.graftTimeoutMs : 1000;
+    // Recently relayed payloads (plumtree) so grafts can be answered.
+    this.relayCache = new Map();
+    this._missing = new Map();
+    // Discovery: signed `channel_advert` messages on the entry channel list the public channels
+    // each peer hosts. Adverts from others are always collected; sending them is opt-in.
+    this.discoveryEnabled = config.discoveryEnabled === true;
+    this.discoveryIntervalMs = Number.isSafeInteger(config.discoveryIntervalMs) ? config.discoveryIntervalMs : 60_000;
+    this.discoveryTtlMs = Number.isSafeInteger(config.discoveryTtlMs)
+      ? config.discoveryTtlMs
+      : this.discoveryIntervalMs * 3;
+    this.maxDirectoryEntries = Number.isSafeInteger(config.maxDirectoryEntries) ? config.maxDirectoryEntries : 5000;
+    this.channelDescriptions = new Map(
+      entriesOf(config.channelDescriptions).map(([channel, text]) => [normalizeChannel(channel), String(text ?? '')])
+    );
+    // `${channel}\n${advertiser}` -> latest advert entry, oldest first.
+    this.directory = new Map();
+    this._discoveryTimer = null;
     this.maxSeen = Number.isSafeInteger(config.maxSeen) ? config.maxSeen : 5000;
     this.seenTtlMs = Number.isSafeInteger(config.seenTtlMs) ? config.seenTtlMs : 120_000;
     this.rateBytesPerSecond = Number.isSafeInteger(config.rateBytesPerSecond)
@@ -87,83 +368,107 @@ class Sidechannel extends Feature {
     this.maxStrikes = Number.isSafeInteger(config.maxStrikes) ? config.maxStrikes : 3;
     this.strikeWindowMs = Number.isSafeInteger(config.strikeWindowMs) ? config.strikeWindowMs : 5000;
     this.blockMs = Number.isSafeInteger(config.blockMs) ? config.blockMs : 30_000;
-    this.seen = new Map();
-    this.powEnabled = config.powEnabled === true;
-    this.powDifficulty = Number.isInteger(config.powDifficulty) ? config.powDifficulty : 0;
-    this.powRequireEntry = config.powRequireEntry === true;
-    this.powRequiredChannels = Array.isArray(config.powRequiredChannels)
-      ? new Set(config.powRequiredChannels.map((c) => String(c)))
-      : null;
-    this.inviteRequired = config.inviteRequired === true;
-    this.inviteRequiredChannels = Array.isArray(config.inviteRequiredChannels)
-      ? new Set(config.inviteRequiredChannels.map((c) => String(c)))
-      : null;
-    this.inviteRequiredPrefixes = Array.isArray(config.inviteRequiredPrefixes)
-      ? config.inviteRequiredPrefixes.map((c) => String(c))
-      : null;
-    const inviterKeys = Array.isArray(config.inviterKeys)
-      ? config.inviterKeys
-          .map((value) => normalizeKeyHex(value))
-          .filter((value) => value && value.length > 0)
-      : [];
-    if (this.inviteRequired && inviterKeys.length === 0) {
-      const selfKey = normalizeKeyHex(this.peer?.wallet?.publicKey);
-      if (selfKey) inviterKeys.push(selfKey);
+    // Finer-grained limits (0 = unlimited): per channel on each connection, and per origin key
+    // on each channel across all connections so relayed traffic is charged to its author.
+    this.channelRateLimit = normalizeRateLimit(config.channelRateLimit);
+    this.originRateLimit = normalizeRateLimit(config.originRateLimit);
+    this.channelRateLimits = new Map();
+    const channelLimitEntries = config.channelRateLimits instanceof Map
+      ? Array.from(config.channelRateLimits.entries())
+      : config.channelRateLimits && typeof config.channelRateLimits === 'object'
+        ? Object.entries(config.channelRateLimits)
+        : [];
+    for (const [channel, limit] of channelLimitEntries) {
+      const normalizedChannel = normalizeChannel(channel);
+      if (normalizedChannel) this.channelRateLimits.set(normalizedChannel, normalizeRateLimit(limit));
     }
-    this.inviterKeys = inviterKeys.length > 0 ? new Set(inviterKeys) : null;
+    this.maxOriginBuckets = Number.isSafeInteger(config.maxOriginBuckets) ? config.maxOriginBuckets : 5000;
+    this.originBuckets = new Map();
+    this.rateStats = new Map();
+    // Per-channel counters; exposed via getMetrics() and, when metricsPort is set, over HTTP
+    // in the Prometheus text format.
+    this.metrics = new Map();
+    this._payloadSizes = new WeakMap();
+    this.metricsPort = Number.isSafeInteger(config.metricsPort) && config.metricsPort > 0 ? config.metricsPort : 0;
+    this.metricsHost = typeof config.metricsHost === 'string' && config.metricsHost ? config.metricsHost : '127.0.0.1';
+    this._metricsServer = null;
+    this.seen = new Map();
+    // Adaptive PoW: each channel's required difficulty moves between powDifficulty and
+    // powMaxDifficulty based on observed traffic, and is advertised to neighbors.
+    this.powAdaptive = config.powAdaptive !== false;
+    this._powMaxDifficultyConfig = config.powMaxDifficulty;
+    this.powTargetRate = Number.isFinite(config.powTargetRate) ? config.powTargetRate : 20;
+    this.powWindowMs = Number.isSafeInteger(config.powWindowMs) ? config.powWindowMs : 10_000;
+    this.powGraceMs = Number.isSafeInteger(config.powGraceMs) ? config.powGraceMs : 5000;
+    this.powState = new Map();
+    this._powQueue = new Map();
+    this._powTimer = null;
     this.inviteTtlMs = Number.isSafeInteger(config.inviteTtlMs) ? config.inviteTtlMs : 0;
     this.invitedPeers = new Map();
     this.localInvites = new Map();
+    // Signed revocations (by invitee key or invite nonce) per channel, persisted to revocationsFile.
+    this.revocations = new Map();
+    this.revocationsFile =
+      typeof config.revocationsFile === 'string' && config.revocationsFile ? config.revocationsFile : null;
     // Stores the last accepted invite object (for auth handshakes).
     this.localInviteObjects = new Map();
-    this.ownerWriteOnly = config.ownerWriteOnly === true;
-    this.ownerWriteChannels = Array.isArray(config.ownerWriteChannels)
-      ? new Set(config.ownerWriteChannels.map((c) => normalizeChannel(c)))
+    // Joined channels, accepted invites, invitees, verified welcomes and channel keys survive
+    // restarts via stateFile; everything is re-verified (and expired entries dropped) on load.
+    this.stateFile = typeof config.stateFile === 'string' && config.stateFile ? config.stateFile : null;
+    this.joinedChannels = new Set();
+    this._stateLoading = false;
+    this._stateSaveTimer = null;
+    // Encrypted channels: payload messages are sealed with a per-channel key that the owner
+    // distributes inside signed invites (sealed to the invitee's key). Relays only see ciphertext.
+    this.encryptedChannels = Array.isArray(config.encryptedChannels)
+      ? new Set(config.encryptedChannels.map((c) => normalizeChannel(c)))
+      : new Set();
+    this.channelKeys = new Map();
+    this._cachedBoxSecretKey = null;
+    // Optional persistent history (per channel, bounded) replayed to late joiners on request.
+    this.historyDir = typeof config.historyDir === 'string' && config.historyDir ? config.historyDir : null;
+    this.historyMaxMessages = Number.isSafeInteger(config.historyMaxMessages) ? config.historyMaxMessages : 500;
+    this.historyMaxAgeMs = Number.isSafeInteger(config.historyMaxAgeMs) ? config.historyMaxAgeMs : 86_400_000;
+    this.historyChannels = Array.isArray(config.historyChannels)
+      ? new Set(config.historyChannels.map((c) => normalizeChannel(c)))
       : null;
-    this.welcomeRequired = config.welcomeRequired !== false;
-    this.ownerKeys = new Map();
-    const ownerEntries = config.ownerKeys instanceof Map
-      ? Array.from(config.ownerKeys.entries())
-      : Array.isArray(config.ownerKeys)
-        ? config.ownerKeys
-        : config.ownerKeys && typeof config.ownerKeys === 'object'
-          ? Object.entries(config.ownerKeys)
-          : [];
-    for (const entry of ownerEntries) {
-      const [channel, key] = Array.isArray(entry) ? entry : [];
-      const normalizedChannel = normalizeChannel(channel);
-      const normalizedKey = normalizeKeyHex(key);
-      if (normalizedChannel && normalizedKey) this.ownerKeys.set(normalizedChannel, normalizedKey);
-    }
-    this.defaultOwnerKey = normalizeKeyHex(config.defaultOwnerKey);
+    this.history = new Map();
+    // Owner-signed delegations (channel -> delegate key -> delegation) granting writer/moderator roles.
+    this.delegations = new Map();
+    // Latest signed moderation action per channel and target key (mute/ban, optionally time-bounded),
+    // persisted to moderationFile.
+    this.moderation = new Map();
+    this.moderationFile =
+      typeof config.moderationFile === 'string' && config.moderationFile ? config.moderationFile : null;
     this.welcomeByChannel = new Map();
-    const welcomeEntries = config.welcomeByChannel instanceof Map
-      ? Array.from(config.welcomeByChannel.entries())
-      : Array.isArray(config.welcomeByChannel)
-        ? config.welcomeByChannel
-        : config.welcomeByChannel && typeof config.welcomeByChannel === 'object'
-          ? Object.entries(config.welcomeByChannel)
-          : [];
-    for (const entry of welcomeEntries) {
-      const [channel, welcome] = Array.isArray(entry) ? entry : [];
-      const normalizedChannel = normalizeChannel(channel);
-      if (normalizedChannel && welcome) {
-        this.welcomeByChannel.set(normalizedChannel, welcome);
-      }
-    }
     this.welcomedChannels = new Set();
-    for (const [channel, welcome] of this.welcomeByChannel.entries()) {
-      this._verifyWelcome(welcome, channel, null);
-    }
-    const selfKey = normalizeKeyHex(this.peer?.wallet?.publicKey);
-    if (selfKey) {
-      for (const [channel, key] of this.ownerKeys.entries()) {
-        if (key === selfKey) this._rememberWelcome(channel);
-      }
-      if (this.defaultOwnerKey && this.defaultOwnerKey === selfKey && this.entryChannel) {
-        this._rememberWelcome(this.entryChannel);
+    // Owner, write, invite, PoW and welcome rules: startup config, optionally overlaid by
+    // policyFile, which is re-read whenever it changes (see reloadPolicy).
+    this.policyFile = typeof config.policyFile === 'string' && config.policyFile ? config.policyFile : null;
+    this.policyReloadMs = Number.isSafeInteger(config.policyReloadMs) ? config.policyReloadMs : 2000;
+    this.policyErrors = [];
+    this.policyLoadedAt = null;
+    this._policyMtimeMs = null;
+    this._policyTimer = null;
+    const base = normalizePolicy(
+      Object.fromEntries(POLICY_FIELDS.filter((field) => config[field] !== undefined).map((field) => [field, config[field]]))
+    );
+    for (const error of base.errors) console.log(`[sidechannel] ignoring invalid config: ${error}`);
+    this._basePolicy = base.policy;
+    const filePolicy = this._readPolicyFile();
+    this._setPolicy(filePolicy?.errors.length === 0 ? { ...this._basePolicy, ...filePolicy.policy } : this._basePolicy);
+    this._refreshWelcomes();
+
+    this._loadRevocations();
+    this._loadState();
+    const delegations = Array.isArray(config.delegations) ? config.delegations : [];
+    for (const delegation of delegations) {
+      if (!this.acceptDelegation(delegation)) {
+        console.log('[sidechannel] ignoring invalid delegation from config.');
       }
     }
+    // After delegations, so actions by config-granted moderators verify.
+    this._loadModeration();
 
     const initial = Array.isArray(config.channels) ? config.channels : [];
     for (const name of initial) this._registerChannel(name);
@@ -173,6 +478,47 @@ class Sidechannel extends Feature {
     return Date.now();
   }
 
+  on(event, listener) {
+    this.events.on(event, listener);
+    return this;
+  }
+
+  once(event, listener) {
+    this.events.once(event, listener);
+    return this;
+  }
+
+  off(event, listener) {
+    this.events.off(event, listener);
+    return this;
+  }
+
+  // A throwing listener must not break message handling.
+  _emit(event, data) {
+    try {
+      this.events.emit(event, data);
+    } catch (err) {
+      console.log(`[sidechannel] ${event} listener failed: ${err?.message ?? err}`);
+    }
+  }
+
+  _drop(channel, reason, connection, payload = null, detail = '') {
+    const remoteKey = connection ? this._getRemoteKey(connection) : null;
+    const metrics = this._metricsFor(channel);
+    metrics.drops[reason] = (metrics.drops[reason] ?? 0) + 1;
+    if (reason === 'invite') metrics.authFailures += 1;
+    if (this.debug) {
+      console.log(`[sidechannel:${channel}] drop (${reason}) from ${remoteKey}${detail ? ` ${detail}` : ''}`);
+    }
+    this._emit('drop', {
+      channel,
+      reason,
+      remoteKey,
+      id: payload?.id ?? null,
+      from: payload?.from ?? null,
+    });
+  }
+
   _isEntry(channel) {
     const normalized = normalizeChannel(channel);
     const entry = this.entryChannel ? normalizeChannel(this.entryChannel) : '';
@@ -225,7 +571,7 @@ class Sidechannel extends Feature {
     return this._now() < state.blockedUntil;
   }
 
-  _checkRate(connection, bytes) {
+  _checkRate(connection, bytes, channel = null) {
     const state = this._getLimiter(connection);
     const now = this._now();
     if (now < state.blockedUntil) return false;
@@ -246,6 +592,7 @@ class Sidechannel extends Feature {
       state.strikes += 1;
       if (state.strikes >= this.maxStrikes) {
         state.blockedUntil = now + this.blockMs;
+        if (channel) this._metricsFor(channel).rateLimitBlocks += 1;
         if (this.debug) {
           console.log(`[sidechannel] rate-limit block ${this._getRemoteKey(connection)} for ${this.blockMs}ms`);
         }
@@ -257,6 +604,234 @@ class Sidechannel extends Feature {
     return true;
   }
 
+  _channelRateLimit(channel) {
+    return this._ruleValue(channel, 'rate') ?? this.channelRateLimits.get(channel) ?? this.channelRateLimit;
+  }
+
+  // Token bucket over bytes and message count; a zero rate leaves that dimension unlimited.
+  _takeTokens(bucket, limit, bytes, now) {
+    const elapsedSec = Math.max(now - bucket.lastRefill, 0) / 1000;
+    bucket.lastRefill = now;
+    if (limit.bytesPerSecond > 0) {
+      const cap = limit.bytesPerSecond * RATE_BURST_SECONDS;
+      bucket.bytes = Math.min(cap, (bucket.bytes ?? cap) + elapsedSec * limit.bytesPerSecond);
+    }
+    if (limit.messagesPerSecond > 0) {
+      const cap = limit.messagesPerSecond * RATE_BURST_SECONDS;
+      bucket.messages = Math.min(cap, (bucket.messages ?? cap) + elapsedSec * limit.messagesPerSecond);
+    }
+    if (limit.bytesPerSecond > 0 && bytes > bucket.bytes) return false;
+    if (limit.messagesPerSecond > 0 && bucket.messages < 1) return false;
+    if (limit.bytesPerSecond > 0) bucket.bytes -= bytes;
+    if (limit.messagesPerSecond > 0) bucket.messages -= 1;
+    return true;
+  }
+
+  _rateStatsFor(channel) {
+    let stats = this.rateStats.get(channel);
+    if (!stats) {
+      stats = { accepted: 0, droppedChannel: 0, droppedOrigin: 0, droppedConnection: 0 };
+      this.rateStats.set(channel, stats);
+    }
+    return stats;
+  }
+
+  // Origin is only trusted when the payload signature verifies; otherwise the transport peer pays.
+  _rateOrigin(payload, connection) {
+    const origin = normalizeKeyHex(payload?.origin ?? payload?.from);
+    if (origin && this._verifySig(payload, origin)) return origin;
+    return this._getRemoteKey(connection);
+  }
+
+  // Returns the drop reason, or null when the payload fits every applicable bucket.
+  _checkChannelRates(channel, payload, connection, bytes) {
+    const now = this._now();
+    const stats = this._rateStatsFor(channel);
+    const channelLimit = this._channelRateLimit(channel);
+    if (channelLimit.bytesPerSecond > 0 || channelLimit.messagesPerSecond > 0) {
+      const record = this.connections.get(connection)?.get(channel);
+      if (record) {
+        if (!record.rate) record.rate = { lastRefill: now };
+        if (!this._takeTokens(record.rate, channelLimit, bytes, now)) {
+          stats.droppedChannel += 1;
+          return 'channel_rate_limit';
+        }
+      }
+    }
+    const originLimit = this.originRateLimit;
+    if (originLimit.bytesPerSecond > 0 || originLimit.messagesPerSecond > 0) {
+      const key = `${channel}\n${this._rateOrigin(payload, connection)}`;
+      let bucket = this.originBuckets.get(key);
+      if (!bucket) {
+        bucket = { lastRefill: now };
+        this.originBuckets.set(key, bucket);
+        if (this.originBuckets.size > this.maxOriginBuckets) {
+          const oldest = this.originBuckets.keys().next().value;
+          if (oldest) this.originBuckets.delete(oldest);
+        }
+      }
+      if (!this._takeTokens(bucket, originLimit, bytes, now)) {
+        stats.droppedOrigin += 1;
+        return 'origin_rate_limit';
+      }
+    }
+    return null;
+  }
+
+  getRateStats() {
+    const channels = {};
+    for (const name of this.channels.keys()) {
+      const limit = this._channelRateLimit(name);
+      channels[name] = {
+        limit: { ...limit },
+        ...this._rateStatsFor(name),
+      };
+    }
+    return {
+      connection: { bytesPerSecond: this.rateBytesPerSecond, burstBytes: this.rateBurstBytes },
+      origin: { ...this.originRateLimit },
+      trackedOrigins: this.originBuckets.size,
+      channels,
+    };
+  }
+
+  _metricsFor(channel) {
+    let metrics = this.metrics.get(channel);
+    if (!metrics) {
+      metrics = {
+        messagesIn: 0,
+        bytesIn: 0,
+        messagesOut: 0,
+        bytesOut: 0,
+        relayed: 0,
+        relayCopies: 0,
+        relaySaved: 0,
+        lazyAnnounced: 0,
+        grafts: 0,
+        prunes: 0,
+        powSolved: 0,
+        powMs: 0,
+        rateLimitBlocks: 0,
+        authFailures: 0,
+        drops: {},
+      };
+      this.metrics.set(channel, metrics);
+    }
+    return metrics;
+  }
+
+  // Every wire send goes through here so outbound traffic is counted per channel.
+  _send(record, channel, payload) {
+    record.message.send(payload);
+    let bytes = this._payloadSizes.get(payload);
+    if (bytes === undefined) {
+      try {
+        bytes = b4a.byteLength(JSON.stringify(payload), 'utf8');
+      } catch (_e) {
+        bytes = 0;
+      }
+      this._payloadSizes.set(payload, bytes);
+    }
+    const metrics = this._metricsFor(channel);
+    metrics.messagesOut += 1;
+    metrics.bytesOut += bytes;
+  }
+
+  _activePeers(channel) {
+    let count = 0;
+    for (const perConn of this.connections.values()) {
+      if (perConn.get(channel)?.opened) count += 1;
+    }
+    return count;
+  }
+
+  getMetrics() {
+    const channels = {};
+    const names = new Set([...this.channels.keys(), ...this.metrics.keys()]);
+    for (const name of names) {
+      const metrics = this._metricsFor(name);
+      channels[name] = {
+        ...metrics,
+        drops: { ...metrics.drops },
+        activePeers: this._activePeers(name),
+        powDifficulty: this.getPowDifficulty(name),
+      };
+    }
+    return { connections: this.connections.size, channels };
+  }
+
+  // Prometheus text exposition format (0.0.4).
+  renderMetrics() {
+    const { connections, channels } = this.getMetrics();
+    const entries = Object.entries(channels);
+    const lines = [
+      '# HELP sidechannel_connections Open swarm connections carrying sidechannels.',
+      '# TYPE sidechannel_connections gauge',
+      `sidechannel_connections ${connections}`,
+    ];
+    for (const [field, name, help] of METRIC_COUNTERS) {
+      lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} counter`);
+      for (const [channel, metrics] of entries) {
+        lines.push(`${name}{channel="${escapeLabel(channel)}"} ${metrics[field]}`);
+      }
+    }
+    lines.push(
+      '# HELP sidechannel_pow_seconds_total Time spent solving proof-of-work for outgoing payloads.',
+      '# TYPE sidechannel_pow_seconds_total counter'
+    );
+    for (const [channel, metrics] of entries) {
+      lines.push(`sidechannel_pow_seconds_total{channel="${escapeLabel(channel)}"} ${metrics.powMs / 1000}`);
+    }
+    lines.push(
+      '# HELP sidechannel_drops_total Payloads dropped, by reason.',
+      '# TYPE sidechannel_drops_total counter'
+    );
+    for (const [channel, metrics] of entries) {
+      for (const [reason, count] of Object.entries(metrics.drops)) {
+        lines.push(`sidechannel_drops_total{channel="${escapeLabel(channel)}",reason="${escapeLabel(reason)}"} ${count}`);
+      }
+    }
+    lines.push(
+      '# HELP sidechannel_active_peers Neighbors with an open session on the channel.',
+      '# TYPE sidechannel_active_peers gauge'
+    );
+    for (const [channel, metrics] of entries) {
+      lines.push(`sidechannel_active_peers{channel="${escapeLabel(channel)}"} ${metrics.activePeers}`);
+    }
+    lines.push(
+      '# HELP sidechannel_pow_difficulty Proof-of-work difficulty currently required on the channel.',
+      '# TYPE sidechannel_pow_difficulty gauge'
+    );
+    for (const [channel, metrics] of entries) {
+      lines.push(`sidechannel_pow_difficulty{channel="${escapeLabel(channel)}"} ${metrics.powDifficulty}`);
+    }
+    return `${lines.join('\n')}\n`;
+  }
+
+  _startMetricsServer() {
+    if (!this.metricsPort || this._metricsServer) return;
+    const server = http.createServer((req, res) => {
+      const pathname = String(req.url || '/').split('?')[0];
+      if (req.method !== 'GET' || (pathname !== '/metrics' && pathname !== '/')) {
+        res.statusCode = 404;
+        res.end('not found\n');
+        return;
+      }
+      const body = this.renderMetrics();
+      res.statusCode = 200;
+      res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+      res.setHeader('Content-Length', b4a.byteLength(body, 'utf8'));
+      res.end(body);
+    });
+    server.on('error', (err) => {
+      console.log(`[sidechannel] metrics server error: ${err?.message ?? err}`);
+    });
+    server.listen(this.metricsPort, this.metricsHost, () => {
+      console.log(`[sidechannel] metrics at http://${this.metricsHost}:${this.metricsPort}/metrics`);
+    });
+    this._metricsServer = server;
+  }
+
   _buildPayload(channel, message, invite = null) {
     const ts = this._now();
     // Encode keys as hex strings, not Buffers, because we transmit payloads via JSON encoding.
@@ -273,7 +848,12 @@ class Sidechannel extends Feature {
       ttl: this.relayTtl,
     };
     if (invite) payload.invite = invite;
-    this._attachPow(payload);
+    // Delegates attach their grant (outside the signed fields) so owner-only peers accept them.
+    if (from && !this._isOwner(channel, from)) {
+      const delegation = this.delegations.get(normalizeChannel(channel))?.get(from);
+      if (delegation) payload.delegation = delegation;
+    }
+    // PoW is attached later by _dispatch so solving it never blocks the event loop.
     // Message-level signatures allow receivers to enforce "owner-only write" even when
     // messages are relayed (the transport peer can be a relay, not the original sender).
     this._attachSig(payload);
@@ -297,11 +877,127 @@ class Sidechannel extends Feature {
     });
   }
 
+  // Channels we would list publicly: joined, open to anyone and not encrypted.
+  _isPublicChannel(channel) {
+    return !this._isEntry(channel) && !this._inviteRequired(channel) && !this._encryptionRequired(channel);
+  }
+
+  _channelSummary(channel) {
+    return {
+      channel,
+      description: (this.channelDescriptions.get(channel) ?? '').slice(0, ADVERT_MAX_DESCRIPTION),
+      owners: this._getOwnerKeys(channel).slice(),
+      members: this._activePeers(channel),
+      policy: {
+        ownerWrite: this._ownerWriteOnly(channel),
+        welcomeRequired: this._welcomeRequired(channel),
+        powDifficulty: this.getPowDifficulty(channel),
+      },
+    };
+  }
+
+  advertiseChannels() {
+    if (!this.entryChannel) return false;
+    const channels = Array.from(this.channels.keys())
+      .filter((channel) => this._isPublicChannel(channel))
+      .slice(0, ADVERT_MAX_CHANNELS)
+      .map((channel) => this._channelSummary(channel));
+    if (channels.length === 0) return false;
+    return this.broadcast(this.entryChannel, { control: 'channel_advert', channels });
+  }
+
+  _normalizeAdvertEntry(entry) {
+    const channel = normalizeChannel(entry?.channel);
+    if (!channel || channel.length > 128 || this._isEntry(channel)) return null;
+    const owners = Array.isArray(entry?.owners)
+      ? entry.owners.map((key) => normalizeKeyHex(key)).filter(isKeyHex).slice(0, 16)
+      : [];
+    const members = Number(entry?.members);
+    const powDifficulty = Number(entry?.policy?.powDifficulty);
+    return {
+      channel,
+      description: String(entry?.description ?? '').slice(0, ADVERT_MAX_DESCRIPTION),
+      owners,
+      members: Number.isSafeInteger(members) && members >= 0 ? members : 0,
+      policy: {
+        ownerWrite: entry?.policy?.ownerWrite === true,
+        welcomeRequired: entry?.policy?.welcomeRequired === true,
+        powDifficulty: Number.isSafeInteger(powDifficulty) && powDifficulty >= 0 ? powDifficulty : 0,
+      },
+    };
+  }
+
+  // Adverts are accepted only from their verified signer and only while fresh, so relays
+  // cannot forge or replay another peer's listing.
+  _acceptChannelAdvert(channel, payload, connection) {
+    if (!this._isEntry(channel)) return false;
+    const advertiser = normalizeKeyHex(payload?.from);
+    if (!advertiser || !this._verifySig(payload, advertiser)) {
+      this._drop(channel, 'advert_signature', connection, payload);
+      return false;
+    }
+    const now = this._now();
+    const ts = Number(payload?.ts);
+    if (!Number.isFinite(ts) || ts < now - this.discoveryTtlMs) return false;
+    const entries = Array.isArray(payload?.message?.channels) ? payload.message.channels : [];
+    for (const raw of entries.slice(0, ADVERT_MAX_CHANNELS)) {
+      const entry = this._normalizeAdvertEntry(raw);
+      if (!entry) continue;
+      const key = `${entry.channel}\n${advertiser}`;
+      this.directory.delete(key);
+      this.directory.set(key, { ...entry, advertiser, seenAt: Math.min(ts, now) });
+      if (this.directory.size > this.maxDirectoryEntries) {
+        const oldest = this.directory.keys().next().value;
+        if (oldest) this.directory.delete(oldest);
+      }
+    }
+    return true;
+  }
+
+  // Network-wide view: one row per channel, merged over every fresh advert plus our own.
+  listChannels() {
+    const cutoff = this._now() - this.discoveryTtlMs;
+    const rows = new Map();
+    const merge = (entry, advertiser, seenAt) => {
+      let row = rows.get(entry.channel);
+      if (!row) {
+        row = { channel: entry.channel, description: '', owners: [], members: 0, policy: null, hosts: [], lastSeen: 0 };
+        rows.set(entry.channel, row);
+      }
+      if (!row.hosts.includes(advertiser)) row.hosts.push(advertiser);
+      for (const owner of entry.owners) if (!row.owners.includes(owner)) row.owners.push(owner);
+      row.members = Math.max(row.members, entry.members);
+      // Prefer what an owner says about its channel; otherwise the most recent advert.
+      const fromOwner = entry.owners.includes(advertiser);
+      if (!row.policy || fromOwner || (!row.fromOwner && seenAt >= row.lastSeen)) {
+        if (entry.description || !row.description) row.description = entry.description;
+        row.policy = { ...entry.policy };
+        row.fromOwner = row.fromOwner || fromOwner;
+      }
+      row.lastSeen = Math.max(row.lastSeen, seenAt);
+    };
+    for (const [key, entry] of Array.from(this.directory.entries())) {
+      if (entry.seenAt < cutoff) {
+        this.directory.delete(key);
+        continue;
+      }
+      merge(entry, entry.advertiser, entry.seenAt);
+    }
+    const selfKey = normalizeKeyHex(this.peer?.wallet?.publicKey);
+    if (selfKey) {
+      for (const channel of this.channels.keys()) {
+        if (this._isPublicChannel(channel)) merge(this._channelSummary(channel), selfKey, this._now());
+      }
+    }
+    return Array.from(rows.values())
+      .map(({ fromOwner, ...row }) => ({ ...row, hosts: row.hosts.length }))
+      .sort((a, b) => b.hosts - a.hosts || a.channel.localeCompare(b.channel));
+  }
+
   _relay(channel, payload, originConnection) {
     if (!this.relayEnabled) return;
-    const control = payload?.message?.control;
     // Never relay handshake/control messages; they are for direct neighbor authorization.
-    if (control === 'auth' || control === 'welcome') return;
+    if (NEIGHBOR_CONTROLS.has(payload?.message?.control)) return;
     const ttl = Number.isFinite(payload?.ttl) ? payload.ttl : 0;
     if (ttl <= 0) return;
     const relayed = {
@@ -309,92 +1005,419 @@ class Sidechannel extends Feature {
       ttl: ttl - 1,
       relayedBy: normalizeKeyHex(this.peer?.wallet?.publicKey) ?? null,
     };
+    const id = payload?.id ?? null;
+    const mode = this._relayMode(channel);
+    const metrics = this._metricsFor(channel);
+    const candidates = [];
     for (const [connection, perConn] of this.connections.entries()) {
       if (connection === originConnection) continue;
       if (!this._remoteAuthorized(channel, connection)) continue;
       const record = perConn.get(channel);
-      if (record?.message) {
-        record.message.send(relayed);
+      if (record?.message) candidates.push(record);
+    }
+    let targets = candidates;
+    if (mode !== 'flood' && id) {
+      targets = candidates.filter((record) => !record.has?.has(id));
+      if (mode === 'plumtree') {
+        this._cacheRelay(id, channel, relayed);
+        for (const record of targets) {
+          if (record.lazy) this._announce(record, channel, id);
+        }
+        targets = targets.filter((record) => !record.lazy);
+      } else if (targets.length > this.relayFanout) {
+        // Random choice spreads load; have-tracking already removed peers that need nothing.
+        for (let i = targets.length - 1; i > 0; i -= 1) {
+          const j = Math.floor(Math.random() * (i + 1));
+          [targets[i], targets[j]] = [targets[j], targets[i]];
+        }
+        targets = targets.slice(0, this.relayFanout);
       }
+      metrics.relaySaved += candidates.length - targets.length;
+    }
+    for (const record of targets) {
+      this._send(record, channel, relayed);
+      this._markHas(record, id);
     }
+    metrics.relayCopies += targets.length;
+    if (targets.length > 0) metrics.relayed += 1;
   }
 
-  _powRequired(channel) {
-    if (!this.powEnabled || this.powDifficulty <= 0) return false;
-    if (this.powRequiredChannels) return this.powRequiredChannels.has(channel);
-    if (this.powRequireEntry) return channel === this.entryChannel;
-    return true;
+  _relayMode(channel) {
+    const normalized = normalizeChannel(channel);
+    return this._ruleValue(normalized, 'relay') ?? this.relayModes.get(normalized) ?? this.relayMode;
   }
 
-  _inviteRequired(channel) {
-    if (this._isEntry(channel)) return false;
-    if (!this.inviteRequired) return false;
-    const hasList = this.inviteRequiredChannels || this.inviteRequiredPrefixes;
-    if (this.inviteRequiredChannels && this.inviteRequiredChannels.has(channel)) return true;
-    if (this.inviteRequiredPrefixes) {
-      for (const prefix of this.inviteRequiredPrefixes) {
-        if (prefix && channel.startsWith(prefix)) return true;
-      }
-    }
-    // If the caller configured a list/prefix set, invites are only required for those entries.
-    if (hasList) return false;
-    return true;
+  _markHas(record, id) {
+    if (!record || !id) return;
+    if (!record.has) record.has = new Set();
+    record.has.delete(id);
+    record.has.add(id);
+    if (record.has.size > this.relayHaveLimit) record.has.delete(record.has.values().next().value);
   }
 
-  _ownerWriteOnly(channel) {
-    if (this._isEntry(channel)) return false;
-    if (this.ownerWriteOnly) return true;
-    if (this.ownerWriteChannels) return this.ownerWriteChannels.has(normalizeChannel(channel));
-    return false;
+  _cacheRelay(id, channel, payload) {
+    const now = this._now();
+    this.relayCache.set(id, { channel, payload, at: now });
+    if (this.relayCache.size > this.maxSeen) this.relayCache.delete(this.relayCache.keys().next().value);
+    for (const [key, cached] of this.relayCache) {
+      if (cached.at >= now - this.seenTtlMs) break;
+      this.relayCache.delete(key);
+    }
   }
 
-  _getInviteMap(channel) {
-    if (!this.invitedPeers.has(channel)) this.invitedPeers.set(channel, new Map());
-    return this.invitedPeers.get(channel);
+  // Lazy push: batch ids into one `ihave` per neighbor instead of sending full copies.
+  _announce(record, channel, id) {
+    if (!record.ihave) record.ihave = [];
+    record.ihave.push(id);
+    this._markHas(record, id);
+    if (record.ihaveTimer) return;
+    record.ihaveTimer = setTimeout(() => {
+      record.ihaveTimer = null;
+      const ids = record.ihave.splice(0, record.ihave.length);
+      if (!this.started || ids.length === 0 || !record.message) return;
+      const payload = this._buildPayload(channel, { control: 'ihave', channel, ids });
+      this._rememberSeen(payload.id, this._now());
+      this._dispatch(payload, (p) => this._send(record, channel, p));
+      this._metricsFor(channel).lazyAnnounced += ids.length;
+    }, this.lazyPushDelayMs);
   }
 
-  _isInvited(channel, pubkey) {
-    const map = this.invitedPeers.get(channel);
-    if (!map) return false;
-    const expiresAt = map.get(pubkey);
-    if (!Number.isFinite(expiresAt)) {
-      map.delete(pubkey);
-      return false;
-    }
-    if (expiresAt <= this._now()) {
-      map.delete(pubkey);
-      return false;
-    }
-    return true;
+  _sendRelayControl(record, channel, message) {
+    if (!record?.message) return;
+    const payload = this._buildPayload(channel, message);
+    this._rememberSeen(payload.id, this._now());
+    this._dispatch(payload, (p) => this._send(record, channel, p));
   }
 
-  _rememberInvite(channel, pubkey, expiresAt) {
-    if (!Number.isFinite(expiresAt)) return;
-    const map = this._getInviteMap(channel);
-    map.set(pubkey, expiresAt);
+  // A second copy over an eager link means the tree has a cycle there: demote that link.
+  _onDuplicate(channel, payload, record) {
+    if (!record || record.lazy || NEIGHBOR_CONTROLS.has(payload?.message?.control)) return;
+    if (this._relayMode(channel) !== 'plumtree') return;
+    record.lazy = true;
+    this._sendRelayControl(record, channel, { control: 'prune', channel });
+    this._metricsFor(channel).prunes += 1;
   }
 
-  _rememberLocalInvite(channel, expiresAt) {
-    if (!Number.isFinite(expiresAt)) return;
-    this.localInvites.set(normalizeChannel(channel), expiresAt);
+  // First copy of a payload: settle any pending graft and promote the link it came over.
+  _onFirstCopy(channel, id, record) {
+    // The graft timer is shared by the whole ihave batch; it skips ids no longer missing.
+    this._missing.delete(id);
+    if (record?.lazy && this._relayMode(channel) === 'plumtree') record.lazy = false;
   }
 
-  _isLocallyInvited(channel) {
-    const key = normalizeChannel(channel);
-    const expiresAt = this.localInvites.get(key);
-    if (!Number.isFinite(expiresAt)) {
-      this.localInvites.delete(key);
-      return false;
+  _acceptIhave(channel, payload, record) {
+    if (!record) return;
+    const ids = Array.isArray(payload?.message?.ids) ? payload.message.ids.slice(0, 256) : [];
+    const wanted = [];
+    for (const raw of ids) {
+      const id = String(raw);
+      this._markHas(record, id);
+      if (this.seen.has(id) || this._missing.has(id)) continue;
+      wanted.push(id);
     }
-    if (expiresAt <= this._now()) {
-      this.localInvites.delete(key);
-      return false;
+    if (wanted.length === 0) return;
+    // Give the eager path a moment to deliver before pulling over this link.
+    const timer = setTimeout(() => {
+      const missing = wanted.filter((id) => this._missing.get(id)?.timer === timer);
+      for (const id of missing) this._missing.delete(id);
+      if (!this.started || missing.length === 0) return;
+      record.lazy = false;
+      this._sendRelayControl(record, channel, { control: 'graft', channel, ids: missing });
+      this._metricsFor(channel).grafts += 1;
+    }, this.graftTimeoutMs);
+    for (const id of wanted) this._missing.set(id, { timer, channel });
+  }
+
+  _acceptGraft(channel, payload, record) {
+    if (!record) return;
+    record.lazy = false;
+    const ids = Array.isArray(payload?.message?.ids) ? payload.message.ids.slice(0, 256) : [];
+    for (const raw of ids) {
+      const cached = this.relayCache.get(String(raw));
+      if (!cached || cached.channel !== channel) continue;
+      this._send(record, channel, cached.payload);
+      this._markHas(record, String(raw));
     }
-    return true;
   }
 
-  _normalizeInvitePayload(payload) {
+  getRelayStats() {
+    const channels = {};
+    for (const name of this.channels.keys()) {
+      const metrics = this._metricsFor(name);
+      let eagerPeers = 0;
+      let lazyPeers = 0;
+      for (const perConn of this.connections.values()) {
+        const record = perConn.get(name);
+        if (!record?.opened) continue;
+        if (record.lazy) lazyPeers += 1;
+        else eagerPeers += 1;
+      }
+      channels[name] = {
+        mode: this._relayMode(name),
+        forwarded: metrics.relayed,
+        copies: metrics.relayCopies,
+        saved: metrics.relaySaved,
+        lazyAnnounced: metrics.lazyAnnounced,
+        grafts: metrics.grafts,
+        prunes: metrics.prunes,
+        eagerPeers,
+        lazyPeers,
+      };
+    }
+    return { fanout: this.relayFanout, channels };
+  }
+
+  _readPolicyFile() {
+    if (!this.policyFile) return null;
+    let raw = null;
+    try {
+      // Recorded before parsing so a half-written or invalid file is retried only once it changes.
+      this._policyMtimeMs = fs.statSync(this.policyFile).mtimeMs;
+      raw = JSON.parse(fs.readFileSync(this.policyFile, 'utf8'));
+    } catch (err) {
+      this.policyErrors = [`cannot read ${this.policyFile}: ${err?.message ?? err}`];
+      console.log(`[sidechannel] policy ${this.policyErrors[0]}`);
+      return { policy: {}, errors: this.policyErrors };
+    }
+    const result = normalizePolicy(raw, true);
+    this.policyErrors = result.errors;
+    if (result.errors.length > 0) {
+      console.log(`[sidechannel] policy rejected (keeping previous): ${result.errors.join('; ')}`);
+    } else {
+      this.policyLoadedAt = this._now();
+    }
+    return result;
+  }
+
+  _setPolicy(policy) {
+    this.policy = policy;
+    this.powEnabled = policy.powEnabled === true;
+    this.powDifficulty = policy.powDifficulty ?? 0;
+    this.powMaxDifficulty = Number.isInteger(this._powMaxDifficultyConfig)
+      ? Math.max(this._powMaxDifficultyConfig, this.powDifficulty)
+      : this.powDifficulty + 8;
+    this.powRequireEntry = policy.powRequireEntry === true;
+    this.powRequiredChannels = policy.powRequiredChannels ? new Set(policy.powRequiredChannels) : null;
+    this.inviteRequired = policy.inviteRequired === true;
+    this.inviteRequiredChannels = policy.inviteRequiredChannels ? new Set(policy.inviteRequiredChannels) : null;
+    this.inviteRequiredPrefixes = policy.inviteRequiredPrefixes ? policy.inviteRequiredPrefixes.slice() : null;
+    this.rules = compileRules(policy.rules ?? []);
+    const inviterKeys = policy.inviterKeys ? policy.inviterKeys.slice() : [];
+    const invitesUsed = this.inviteRequired || this.rules.some(({ rule }) => rule.invite === true);
+    if (invitesUsed && inviterKeys.length === 0) {
+      const selfKey = normalizeKeyHex(this.peer?.wallet?.publicKey);
+      if (selfKey) inviterKeys.push(selfKey);
+    }
+    this.inviterKeys = inviterKeys.length > 0 ? new Set(inviterKeys) : null;
+    this.ownerWriteOnly = policy.ownerWriteOnly === true;
+    this.ownerWriteChannels = policy.ownerWriteChannels ? new Set(policy.ownerWriteChannels) : null;
+    this.welcomeRequired = policy.welcomeRequired !== false;
+    this.ownerKeys = new Map(Object.entries(policy.ownerKeys ?? {}));
+    this.defaultOwnerKey = policy.defaultOwnerKey ?? null;
+    for (const [channel, welcome] of Object.entries(policy.welcomeByChannel ?? {})) {
+      this.welcomeByChannel.set(channel, welcome);
+    }
+  }
+
+  // Re-check every known welcome against the current owners; owners welcome themselves.
+  _refreshWelcomes() {
+    for (const [channel, welcome] of Array.from(this.welcomeByChannel.entries())) {
+      if (!this._verifyWelcome(welcome, channel, null)) {
+        this.welcomeByChannel.delete(channel);
+        this.welcomedChannels.delete(channel);
+      }
+    }
+    const selfKey = normalizeKeyHex(this.peer?.wallet?.publicKey);
+    for (const channel of Array.from(this.welcomedChannels)) {
+      if (!this.welcomeByChannel.has(channel) && !this._isOwner(channel, selfKey)) this.welcomedChannels.delete(channel);
+    }
+    if (selfKey) {
+      for (const [channel, keys] of this.ownerKeys.entries()) {
+        if (keys.includes(selfKey)) this._rememberWelcome(channel);
+      }
+      if (this.defaultOwnerKey && this.defaultOwnerKey === selfKey && this.entryChannel) {
+        this._rememberWelcome(this.entryChannel);
+      }
+    }
+  }
+
+  // Re-reads policyFile and applies it to live channels. An invalid file is reported and the
+  // previous policy stays in effect.
+  reloadPolicy() {
+    if (!this.policyFile) return { ok: false, errors: ['No policy file configured.'] };
+    const result = this._readPolicyFile();
+    if (result.errors.length > 0) return { ok: false, errors: result.errors };
+    const previousDifficulty = this.powDifficulty;
+    this._setPolicy({ ...this._basePolicy, ...result.policy });
+    if (this.powDifficulty !== previousDifficulty) this.powState.clear();
+    this._refreshWelcomes();
+    if (this.started && this.powEnabled && this.powAdaptive && !this._powTimer) {
+      this._powTimer = setInterval(() => this._tickPow(), this.powWindowMs);
+    }
+    // Sessions the new rules no longer authorize are closed; peers may reconnect once invited.
+    for (const [connection, perConn] of this.connections.entries()) {
+      for (const [channel, record] of Array.from(perConn.entries())) {
+        if (this._remoteAuthorized(channel, connection)) continue;
+        record.closeReason = 'policy';
+        try {
+          record.channel?.close?.();
+        } catch (_e) {}
+        perConn.delete(channel);
+      }
+    }
+    console.log(`[sidechannel] policy reloaded from ${this.policyFile}`);
+    this._emit('policy', this.getPolicy());
+    return { ok: true, errors: [], policy: this.getPolicy() };
+  }
+
+  _checkPolicyFile() {
+    let mtimeMs = null;
+    try {
+      mtimeMs = fs.statSync(this.policyFile).mtimeMs;
+    } catch (_e) {
+      return;
+    }
+    if (mtimeMs !== this._policyMtimeMs) this.reloadPolicy();
+  }
+
+  getPolicy() {
+    const toList = (set) => (set ? Array.from(set) : null);
+    const welcomes = {};
+    for (const channel of Object.keys(this.policy?.welcomeByChannel ?? {})) {
+      if (!this._isWelcomed(channel)) continue;
+      const welcome = this.welcomeByChannel.get(channel);
+      const payload = welcome?.payload && typeof welcome.payload === 'object' ? welcome.payload : welcome;
+      welcomes[channel] = this._normalizeWelcomePayload(payload).text;
+    }
     return {
+      source: this.policyFile,
+      loadedAt: this.policyLoadedAt,
+      errors: this.policyErrors.slice(),
+      ownerKeys: Object.fromEntries(this.ownerKeys),
+      defaultOwnerKey: this.defaultOwnerKey,
+      ownerWriteOnly: this.ownerWriteOnly,
+      ownerWriteChannels: toList(this.ownerWriteChannels),
+      inviteRequired: this.inviteRequired,
+      inviteRequiredChannels: toList(this.inviteRequiredChannels),
+      inviteRequiredPrefixes: this.inviteRequiredPrefixes ? this.inviteRequiredPrefixes.slice() : null,
+      inviterKeys: toList(this.inviterKeys),
+      powEnabled: this.powEnabled,
+      powDifficulty: this.powDifficulty,
+      powRequireEntry: this.powRequireEntry,
+      powRequiredChannels: toList(this.powRequiredChannels),
+      welcomeRequired: this.welcomeRequired,
+      welcomes,
+      rules: (this.policy?.rules ?? []).map((rule) => ({ ...rule })),
+    };
+  }
+
+  // The deciding rule's value for one setting on a channel, or undefined when no rule sets it.
+  _ruleValue(channel, field) {
+    if (this.rules.length === 0) return undefined;
+    const name = normalizeChannel(channel);
+    for (const { rule, test } of this.rules) {
+      if (rule[field] !== undefined && test(name)) return rule[field];
+    }
+    return undefined;
+  }
+
+  _powRequired(channel) {
+    if (this.powDifficulty <= 0) return false;
+    const rule = this._ruleValue(channel, 'pow');
+    if (rule !== undefined) return rule;
+    if (!this.powEnabled) return false;
+    if (this.powRequiredChannels) return this.powRequiredChannels.has(channel);
+    if (this.powRequireEntry) return channel === this.entryChannel;
+    return true;
+  }
+
+  _inviteRequired(channel) {
+    if (this._isEntry(channel)) return false;
+    const rule = this._ruleValue(channel, 'invite');
+    if (rule !== undefined) return rule;
+    if (!this.inviteRequired) return false;
+    const hasList = this.inviteRequiredChannels || this.inviteRequiredPrefixes;
+    if (this.inviteRequiredChannels && this.inviteRequiredChannels.has(channel)) return true;
+    if (this.inviteRequiredPrefixes) {
+      for (const prefix of this.inviteRequiredPrefixes) {
+        if (prefix && channel.startsWith(prefix)) return true;
+      }
+    }
+    // If the caller configured a list/prefix set, invites are only required for those entries.
+    if (hasList) return false;
+    return true;
+  }
+
+  _ownerWriteOnly(channel) {
+    if (this._isEntry(channel)) return false;
+    const rule = this._ruleValue(channel, 'ownerWrite');
+    if (rule !== undefined) return rule;
+    if (this.ownerWriteOnly) return true;
+    if (this.ownerWriteChannels) return this.ownerWriteChannels.has(normalizeChannel(channel));
+    return false;
+  }
+
+  _getInviteMap(channel) {
+    if (!this.invitedPeers.has(channel)) this.invitedPeers.set(channel, new Map());
+    return this.invitedPeers.get(channel);
+  }
+
+  _isInvited(channel, pubkey) {
+    const map = this.invitedPeers.get(channel);
+    if (!map) return false;
+    const record = map.get(pubkey);
+    if (!record || !Number.isFinite(record.expiresAt)) {
+      map.delete(pubkey);
+      return false;
+    }
+    if (record.expiresAt <= this._now()) {
+      map.delete(pubkey);
+      return false;
+    }
+    if (this._inviteRevoked(channel, { ...record, inviteePubKey: pubkey })) {
+      map.delete(pubkey);
+      return false;
+    }
+    return true;
+  }
+
+  _rememberInvite(channel, pubkey, invite) {
+    if (!Number.isFinite(invite?.expiresAt)) return;
+    const map = this._getInviteMap(channel);
+    const previous = map.get(pubkey);
+    if (previous && previous.nonce === invite.nonce && previous.expiresAt === invite.expiresAt) return;
+    map.set(pubkey, { expiresAt: invite.expiresAt, issuedAt: invite.issuedAt, nonce: invite.nonce });
+    this._scheduleStateSave();
+  }
+
+  _rememberLocalInvite(channel, expiresAt) {
+    if (!Number.isFinite(expiresAt)) return;
+    this.localInvites.set(normalizeChannel(channel), expiresAt);
+  }
+
+  _isLocallyInvited(channel) {
+    const key = normalizeChannel(channel);
+    const expiresAt = this.localInvites.get(key);
+    if (!Number.isFinite(expiresAt)) {
+      this.localInvites.delete(key);
+      return false;
+    }
+    if (expiresAt <= this._now()) {
+      this.localInvites.delete(key);
+      return false;
+    }
+    const invite = this.localInviteObjects.get(key);
+    const payload = invite?.payload && typeof invite.payload === 'object' ? invite.payload : invite;
+    if (payload && this._inviteRevoked(key, this._normalizeInvitePayload(payload))) {
+      this.localInvites.delete(key);
+      this.localInviteObjects.delete(key);
+      return false;
+    }
+    return true;
+  }
+
+  _normalizeInvitePayload(payload) {
+    const normalized = {
       channel: String(payload?.channel ?? ''),
       inviteePubKey: normalizeKeyHex(payload?.inviteePubKey) || '',
       inviterPubKey: normalizeKeyHex(payload?.inviterPubKey) || '',
@@ -404,6 +1427,12 @@ class Sidechannel extends Feature {
       nonce: String(payload?.nonce ?? ''),
       version: Number.isFinite(payload?.version) ? Number(payload.version) : 1,
     };
+    // Only present for encrypted channels, so plain invites keep their original signature base.
+    if (payload?.sealedKey) {
+      normalized.sealedKey = String(payload.sealedKey).trim().toLowerCase();
+      normalized.keyId = String(payload?.keyId ?? '');
+    }
+    return normalized;
   }
 
   _verifyInviteForKey(invite, channel, inviteeKey) {
@@ -418,6 +1447,7 @@ class Sidechannel extends Feature {
     if (this.inviterKeys && !this.inviterKeys.has(normalized.inviterPubKey)) return false;
     if (!Number.isFinite(normalized.issuedAt) || !Number.isFinite(normalized.expiresAt)) return false;
     if (normalized.expiresAt <= this._now()) return false;
+    if (this._inviteRevoked(channel, normalized)) return false;
     const message = stableStringify(normalized);
     let sigBuf = null;
     let pubBuf = null;
@@ -435,7 +1465,7 @@ class Sidechannel extends Feature {
     const remoteKey = this._getRemoteKey(connection);
     const normalized = this._verifyInviteForKey(invite, channel, remoteKey);
     if (!normalized) return false;
-    this._rememberInvite(channel, remoteKey, normalized.expiresAt);
+    this._rememberInvite(channel, remoteKey, normalized);
     return true;
   }
 
@@ -446,6 +1476,10 @@ class Sidechannel extends Feature {
     if (!normalized) return false;
     this._rememberLocalInvite(channel, normalized.expiresAt);
     this.localInviteObjects.set(normalizeChannel(channel), invite);
+    this._scheduleStateSave();
+    if (normalized.sealedKey && !this._openChannelKey(channel, normalized.sealedKey, normalized.keyId)) {
+      console.log(`[sidechannel:${channel}] invite accepted but its channel key could not be opened.`);
+    }
     const embeddedWelcome = invite?.welcome;
     if (embeddedWelcome) {
       this._verifyWelcome(embeddedWelcome, channel, null);
@@ -466,6 +1500,230 @@ class Sidechannel extends Feature {
     return false;
   }
 
+  // inviterPubKey is the signer. A revocation naming delegatePubKey (signed by an owner) takes
+  // back that delegate's grants instead of an invite; the field is omitted otherwise so invite
+  // revocations keep their signed form.
+  _normalizeRevocationPayload(payload) {
+    const normalized = {
+      channel: normalizeChannel(payload?.channel),
+      inviterPubKey: normalizeKeyHex(payload?.inviterPubKey) || '',
+      inviteePubKey: normalizeKeyHex(payload?.inviteePubKey) || '',
+      nonce: String(payload?.nonce ?? ''),
+      revokedAt: Number(payload?.revokedAt),
+      version: Number.isFinite(payload?.version) ? Number(payload.version) : 1,
+    };
+    const delegatePubKey = normalizeKeyHex(payload?.delegatePubKey);
+    if (delegatePubKey) normalized.delegatePubKey = delegatePubKey;
+    return normalized;
+  }
+
+  _revocationKey(normalized) {
+    if (normalized.delegatePubKey) return `delegate:${normalized.delegatePubKey}`;
+    return normalized.nonce ? `nonce:${normalized.nonce}` : `key:${normalized.inviteePubKey}`;
+  }
+
+  // Inviters may revoke; without an inviter list only the channel owner can.
+  _mayRevoke(channel, pubkey) {
+    if (this.inviterKeys) return this.inviterKeys.has(pubkey);
+    return this._isOwner(channel, pubkey);
+  }
+
+  _verifyRevocation(revocation) {
+    if (!revocation || typeof revocation !== 'object') return false;
+    const payload = revocation.payload && typeof revocation.payload === 'object' ? revocation.payload : revocation;
+    const sigHex = revocation.sig || revocation.signature;
+    if (typeof sigHex !== 'string' || sigHex.length === 0) return false;
+    const normalized = this._normalizeRevocationPayload(payload);
+    if (!normalized.channel || !normalized.inviterPubKey) return false;
+    if (!normalized.inviteePubKey && !normalized.nonce && !normalized.delegatePubKey) return false;
+    if (!Number.isFinite(normalized.revokedAt)) return false;
+    if (normalized.delegatePubKey) {
+      // Only owners grant delegations, so only owners take them back.
+      if (!this._isOwner(normalized.channel, normalized.inviterPubKey)) return false;
+    } else if (!this._mayRevoke(normalized.channel, normalized.inviterPubKey)) {
+      return false;
+    }
+    let sigBuf = null;
+    let pubBuf = null;
+    try {
+      sigBuf = b4a.from(sigHex, 'hex');
+      pubBuf = b4a.from(normalized.inviterPubKey, 'hex');
+    } catch (_e) {
+      return false;
+    }
+    if (!PeerWallet.verify(sigBuf, b4a.from(stableStringify(normalized)), pubBuf)) return false;
+    return normalized;
+  }
+
+  // A key revocation covers invites issued up to revokedAt, so the peer can be re-invited later.
+  _inviteRevoked(channel, invite) {
+    const entries = this.revocations.get(normalizeChannel(channel));
+    if (!entries || !invite) return false;
+    if (invite.nonce && entries.has(`nonce:${invite.nonce}`)) return true;
+    const byKey = invite.inviteePubKey ? entries.get(`key:${invite.inviteePubKey}`) : null;
+    if (!byKey) return false;
+    const revokedAt = this._normalizeRevocationPayload(byKey.payload).revokedAt;
+    return !(Number(invite.issuedAt) > revokedAt);
+  }
+
+  // Returns true if the revocation is valid and was not known yet.
+  _applyRevocation(revocation, persist = true) {
+    const normalized = this._verifyRevocation(revocation);
+    if (!normalized) return false;
+    let entries = this.revocations.get(normalized.channel);
+    if (!entries) {
+      entries = new Map();
+      this.revocations.set(normalized.channel, entries);
+    }
+    const key = this._revocationKey(normalized);
+    const existing = entries.get(key);
+    if (existing && this._normalizeRevocationPayload(existing.payload).revokedAt >= normalized.revokedAt) {
+      return false;
+    }
+    entries.set(key, { payload: normalized, sig: String(revocation.sig || revocation.signature).toLowerCase() });
+    if (normalized.delegatePubKey) {
+      const held = this.delegations.get(normalized.channel)?.get(normalized.delegatePubKey);
+      if (held && this._delegationRevoked(held.payload)) this.delegations.get(normalized.channel).delete(normalized.delegatePubKey);
+    }
+    if (persist) {
+      this._saveRevocations();
+      this._dropRevokedSessions(normalized.channel);
+    }
+    return true;
+  }
+
+  _loadRevocations() {
+    if (!this.revocationsFile) return;
+    let parsed = null;
+    try {
+      parsed = JSON.parse(fs.readFileSync(this.revocationsFile, 'utf8'));
+    } catch (_e) {
+      return;
+    }
+    const list = Array.isArray(parsed?.revocations) ? parsed.revocations : [];
+    for (const revocation of list) this._applyRevocation(revocation, false);
+  }
+
+  _saveRevocations() {
+    if (!this.revocationsFile) return;
+    const revocations = [];
+    for (const entries of this.revocations.values()) revocations.push(...entries.values());
+    try {
+      writeFileAtomic(this.revocationsFile, `${JSON.stringify({ version: 1, revocations }, null, 2)}\n`);
+    } catch (err) {
+      console.log(`[sidechannel] revocations write failed: ${err?.message ?? err}`);
+    }
+  }
+
+  getRevocations(name) {
+    const entries = this.revocations.get(normalizeChannel(name));
+    return entries ? Array.from(entries.values()) : [];
+  }
+
+  // Like key revocations of invites, this covers grants issued up to revokedAt; a new grant works.
+  _delegationRevoked(delegation) {
+    const byDelegate = this.revocations.get(delegation.channel)?.get(`delegate:${delegation.delegatePubKey}`);
+    if (!byDelegate) return false;
+    return !(Number(delegation.issuedAt) > byDelegate.payload.revokedAt);
+  }
+
+  revokeDelegation(name, delegatePubKey) {
+    const channel = normalizeChannel(name);
+    const selfKey = normalizeKeyHex(this.peer?.wallet?.publicKey);
+    if (!channel || !selfKey || !this._isOwner(channel, selfKey)) return null;
+    const payload = this._normalizeRevocationPayload({
+      channel,
+      inviterPubKey: selfKey,
+      delegatePubKey,
+      revokedAt: this._now(),
+      version: 1,
+    });
+    if (!payload.delegatePubKey) return null;
+    const sig = this._signHex(stableStringify(payload));
+    if (!sig) return null;
+    const revocation = { payload, sig };
+    if (!this._applyRevocation(revocation)) return null;
+    this._sendRevocations(channel, [revocation], null);
+    return revocation;
+  }
+
+  revokeInvite(name, target = {}) {
+    const channel = normalizeChannel(name);
+    const selfKey = normalizeKeyHex(this.peer?.wallet?.publicKey);
+    if (!channel || !selfKey || !this._mayRevoke(channel, selfKey)) return null;
+    const payload = this._normalizeRevocationPayload({
+      channel,
+      inviterPubKey: selfKey,
+      inviteePubKey: target.inviteePubKey,
+      nonce: target.nonce,
+      revokedAt: this._now(),
+      version: 1,
+    });
+    if (!payload.inviteePubKey && !payload.nonce) return null;
+    const sig = this._signHex(stableStringify(payload));
+    if (!sig) return null;
+    const revocation = { payload, sig };
+    if (!this._applyRevocation(revocation)) return null;
+    this._sendRevocations(channel, [revocation], null);
+    return revocation;
+  }
+
+  // Revocations travel hop by hop: each peer forwards only entries that were new to it.
+  _sendRevocations(channel, revocations, exceptConnection) {
+    if (!revocations || revocations.length === 0) return;
+    for (const [connection, perConn] of this.connections.entries()) {
+      if (connection === exceptConnection) continue;
+      const record = perConn.get(channel);
+      if (!record?.message || !record.channel?.opened) continue;
+      if (!this._remoteAuthorized(channel, connection)) continue;
+      this._sendRevocationsTo(record, channel, revocations);
+    }
+  }
+
+  _sendRevocationsTo(record, channel, revocations) {
+    if (!record?.message || !revocations || revocations.length === 0) return;
+    const payload = this._buildPayload(channel, { control: 'revoke', channel, revocations });
+    this._rememberSeen(payload.id, this._now());
+    this._dispatch(payload, (p) => this._send(record, channel, p));
+  }
+
+  _acceptRevocations(channel, payload, connection) {
+    const list = Array.isArray(payload?.message?.revocations) ? payload.message.revocations : [];
+    const fresh = [];
+    for (const revocation of list.slice(0, 1000)) {
+      const normalized = this._verifyRevocation(revocation);
+      if (!normalized || normalized.channel !== channel) continue;
+      if (this._applyRevocation(revocation)) fresh.push(revocation);
+    }
+    this._sendRevocations(channel, fresh, connection);
+  }
+
+  _dropRevokedSessions(channel) {
+    if (!this._inviteRequired(channel)) return;
+    const entries = this.revocations.get(channel);
+    const invited = this.invitedPeers.get(channel);
+    for (const [connection, perConn] of this.connections.entries()) {
+      const record = perConn.get(channel);
+      if (!record) continue;
+      const remoteKey = this._getRemoteKey(connection);
+      if (this.inviterKeys && this.inviterKeys.has(remoteKey)) continue;
+      const known = invited?.get(remoteKey);
+      const revoked = known
+        ? this._inviteRevoked(channel, { ...known, inviteePubKey: remoteKey })
+        : Boolean(entries?.has(`key:${remoteKey}`));
+      if (!revoked) continue;
+      invited?.delete(remoteKey);
+      record.closeReason = 'revoked';
+      try {
+        record.channel?.close?.();
+      } catch (_e) {}
+      perConn.delete(channel);
+      if (this.debug) {
+        console.log(`[sidechannel:${channel}] dropped session (invite revoked) for ${remoteKey}`);
+      }
+    }
+  }
+
   _normalizeWelcomePayload(payload) {
     return {
       channel: normalizeChannel(payload?.channel),
@@ -476,182 +1734,1235 @@ class Sidechannel extends Feature {
     };
   }
 
-  _getOwnerKey(channel) {
+  _getOwnerKeys(channel) {
     const normalized = normalizeChannel(channel);
+    const rule = this._ruleValue(normalized, 'owners');
+    if (rule !== undefined) return rule;
     if (this.ownerKeys.has(normalized)) return this.ownerKeys.get(normalized);
-    return this.defaultOwnerKey;
+    return this.defaultOwnerKey ? [this.defaultOwnerKey] : [];
+  }
+
+  _isOwner(channel, pubkey) {
+    return Boolean(pubkey) && this._getOwnerKeys(channel).includes(pubkey);
+  }
+
+  _normalizeDelegationPayload(payload) {
+    return {
+      channel: normalizeChannel(payload?.channel),
+      ownerPubKey: normalizeKeyHex(payload?.ownerPubKey) || '',
+      delegatePubKey: normalizeKeyHex(payload?.delegatePubKey) || '',
+      role: String(payload?.role ?? ''),
+      issuedAt: Number(payload?.issuedAt),
+      // 0 means the delegation does not expire.
+      expiresAt: Number.isFinite(Number(payload?.expiresAt)) ? Number(payload.expiresAt) : 0,
+      version: Number.isFinite(payload?.version) ? Number(payload.version) : 1,
+    };
+  }
+
+  _verifyDelegation(delegation) {
+    if (!delegation || typeof delegation !== 'object') return false;
+    const payload = delegation.payload && typeof delegation.payload === 'object' ? delegation.payload : delegation;
+    const sigHex = delegation.sig || delegation.signature;
+    if (typeof sigHex !== 'string' || sigHex.length === 0) return false;
+    const normalized = this._normalizeDelegationPayload(payload);
+    if (!normalized.channel || !normalized.delegatePubKey) return false;
+    if (!DELEGATION_ROLES.includes(normalized.role)) return false;
+    if (!this._isOwner(normalized.channel, normalized.ownerPubKey)) return false;
+    if (!Number.isFinite(normalized.issuedAt)) return false;
+    if (normalized.expiresAt > 0 && normalized.expiresAt <= this._now()) return false;
+    if (this._delegationRevoked(normalized)) return false;
+    let sigBuf = null;
+    let pubBuf = null;
+    try {
+      sigBuf = b4a.from(sigHex, 'hex');
+      pubBuf = b4a.from(normalized.ownerPubKey, 'hex');
+    } catch (_e) {
+      return false;
+    }
+    if (!PeerWallet.verify(sigBuf, b4a.from(stableStringify(normalized)), pubBuf)) return false;
+    return normalized;
+  }
+
+  // Stores a verified delegation; a newer grant for the same delegate replaces the older one.
+  acceptDelegation(delegation) {
+    const normalized = this._verifyDelegation(delegation);
+    if (!normalized) return false;
+    let byDelegate = this.delegations.get(normalized.channel);
+    if (!byDelegate) {
+      byDelegate = new Map();
+      this.delegations.set(normalized.channel, byDelegate);
+    }
+    const existing = byDelegate.get(normalized.delegatePubKey);
+    if (existing && existing.payload.issuedAt > normalized.issuedAt) return true;
+    byDelegate.set(normalized.delegatePubKey, {
+      payload: normalized,
+      sig: String(delegation.sig || delegation.signature).toLowerCase(),
+    });
+    return true;
+  }
+
+  createDelegation(name, delegatePubKey, options = {}) {
+    const channel = normalizeChannel(name);
+    const selfKey = normalizeKeyHex(this.peer?.wallet?.publicKey);
+    if (!channel || !this._isOwner(channel, selfKey)) return null;
+    const issuedAt = this._now();
+    const ttlMs = Number.isSafeInteger(options.ttlMs) && options.ttlMs > 0 ? options.ttlMs : 0;
+    const payload = this._normalizeDelegationPayload({
+      channel,
+      ownerPubKey: selfKey,
+      delegatePubKey,
+      role: options.role || 'writer',
+      issuedAt,
+      expiresAt: ttlMs > 0 ? issuedAt + ttlMs : 0,
+      version: 1,
+    });
+    if (!payload.delegatePubKey || !DELEGATION_ROLES.includes(payload.role)) return null;
+    const sig = this._signHex(stableStringify(payload));
+    if (!sig) return null;
+    const delegation = { payload, sig };
+    this.acceptDelegation(delegation);
+    return delegation;
+  }
+
+  getDelegations(name) {
+    const byDelegate = this.delegations.get(normalizeChannel(name));
+    if (!byDelegate) return [];
+    return Array.from(byDelegate.values()).filter((delegation) => this._verifyDelegation(delegation));
+  }
+
+  // Owners hold every role; a moderator delegation also grants write access.
+  _hasRole(channel, pubkey, role, embedded = null) {
+    if (!pubkey) return false;
+    if (this._isOwner(channel, pubkey)) return true;
+    const normalizedChannel = normalizeChannel(channel);
+    let delegation = this.delegations.get(normalizedChannel)?.get(pubkey) || null;
+    if (delegation && !this._verifyDelegation(delegation)) {
+      this.delegations.get(normalizedChannel).delete(pubkey);
+      delegation = null;
+    }
+    // Delegates carry their grant on each payload, so receivers learn it on first contact.
+    if (!delegation && embedded && this.acceptDelegation(embedded)) {
+      delegation = this.delegations.get(normalizedChannel)?.get(pubkey) || null;
+    }
+    if (!delegation || delegation.payload.channel !== normalizedChannel) return false;
+    if (delegation.payload.delegatePubKey !== pubkey) return false;
+    if (delegation.payload.role === role) return true;
+    return role === 'writer' && delegation.payload.role === 'moderator';
+  }
+
+  _canWrite(channel, pubkey, embedded = null) {
+    return this._hasRole(channel, pubkey, 'writer', embedded);
+  }
+
+  _normalizeModerationPayload(payload) {
+    return {
+      channel: normalizeChannel(payload?.channel),
+      moderatorPubKey: normalizeKeyHex(payload?.moderatorPubKey) || '',
+      targetPubKey: normalizeKeyHex(payload?.targetPubKey) || '',
+      action: String(payload?.action ?? ''),
+      reason: String(payload?.reason ?? ''),
+      issuedAt: Number(payload?.issuedAt),
+      // 0 means the action lasts until lifted.
+      expiresAt: Number.isFinite(Number(payload?.expiresAt)) ? Number(payload.expiresAt) : 0,
+      version: Number.isFinite(payload?.version) ? Number(payload.version) : 1,
+    };
+  }
+
+  // Owners and moderator delegates may moderate anyone except the channel owners.
+  _verifyModeration(entry) {
+    if (!entry || typeof entry !== 'object') return false;
+    const payload = entry.payload && typeof entry.payload === 'object' ? entry.payload : entry;
+    const sigHex = entry.sig || entry.signature;
+    if (typeof sigHex !== 'string' || sigHex.length === 0) return false;
+    const normalized = this._normalizeModerationPayload(payload);
+    if (!normalized.channel || !normalized.targetPubKey || !normalized.moderatorPubKey) return false;
+    if (!MODERATION_ACTIONS.includes(normalized.action)) return false;
+    if (!Number.isFinite(normalized.issuedAt)) return false;
+    if (this._isOwner(normalized.channel, normalized.targetPubKey)) return false;
+    if (!this._hasRole(normalized.channel, normalized.moderatorPubKey, 'moderator', entry.delegation)) return false;
+    let sigBuf = null;
+    let pubBuf = null;
+    try {
+      sigBuf = b4a.from(sigHex, 'hex');
+      pubBuf = b4a.from(normalized.moderatorPubKey, 'hex');
+    } catch (_e) {
+      return false;
+    }
+    if (!PeerWallet.verify(sigBuf, b4a.from(stableStringify(normalized)), pubBuf)) return false;
+    return normalized;
+  }
+
+  // Returns true if the action is valid and newer than what we had for that target.
+  _applyModeration(entry, persist = true) {
+    const normalized = this._verifyModeration(entry);
+    if (!normalized) return false;
+    let byTarget = this.moderation.get(normalized.channel);
+    if (!byTarget) {
+      byTarget = new Map();
+      this.moderation.set(normalized.channel, byTarget);
+    }
+    const existing = byTarget.get(normalized.targetPubKey);
+    if (existing && existing.payload.issuedAt >= normalized.issuedAt) return false;
+    const stored = { payload: normalized, sig: String(entry.sig || entry.signature).toLowerCase() };
+    if (entry.delegation) stored.delegation = entry.delegation;
+    byTarget.set(normalized.targetPubKey, stored);
+    if (persist) this._saveModeration();
+    if (normalized.action === 'ban') this._dropBannedSessions(normalized.channel, normalized.targetPubKey);
+    return true;
+  }
+
+  _loadModeration() {
+    if (!this.moderationFile) return;
+    let parsed = null;
+    try {
+      parsed = JSON.parse(fs.readFileSync(this.moderationFile, 'utf8'));
+    } catch (_e) {
+      return;
+    }
+    const list = Array.isArray(parsed?.entries) ? parsed.entries : [];
+    for (const entry of list) this._applyModeration(entry, false);
+  }
+
+  _saveModeration() {
+    if (!this.moderationFile) return;
+    const entries = [];
+    for (const byTarget of this.moderation.values()) entries.push(...byTarget.values());
+    try {
+      writeFileAtomic(this.moderationFile, `${JSON.stringify({ version: 1, entries }, null, 2)}\n`);
+    } catch (err) {
+      console.log(`[sidechannel] moderation write failed: ${err?.message ?? err}`);
+    }
+  }
+
+  // Active action for a key on a channel: 'ban', 'mute' or null.
+  _moderationFor(channel, pubkey) {
+    if (!pubkey) return null;
+    const entry = this.moderation.get(normalizeChannel(channel))?.get(pubkey);
+    if (!entry) return null;
+    const { action, expiresAt } = entry.payload;
+    if (action !== 'ban' && action !== 'mute') return null;
+    if (expiresAt > 0 && expiresAt <= this._now()) return null;
+    return action;
+  }
+
+  _hasActiveModeration(channel) {
+    const byTarget = this.moderation.get(normalizeChannel(channel));
+    if (!byTarget) return false;
+    for (const target of byTarget.keys()) {
+      if (this._moderationFor(channel, target)) return true;
+    }
+    return false;
+  }
+
+  // Everything we know, lifts included, so a peer holding a stale mute/ban catches up.
+  _moderationEntries(channel) {
+    const byTarget = this.moderation.get(normalizeChannel(channel));
+    return byTarget ? Array.from(byTarget.values()) : [];
+  }
+
+  getModeration(name) {
+    const channel = normalizeChannel(name);
+    const byTarget = this.moderation.get(channel);
+    if (!byTarget) return [];
+    return Array.from(byTarget.values()).filter((entry) => this._moderationFor(channel, entry.payload.targetPubKey));
+  }
+
+  moderate(name, targetPubKey, action, options = {}) {
+    const channel = normalizeChannel(name);
+    const selfKey = normalizeKeyHex(this.peer?.wallet?.publicKey);
+    if (!channel || !selfKey) return null;
+    const issuedAt = this._now();
+    const durationMs = Number.isSafeInteger(options.durationMs) && options.durationMs > 0 ? options.durationMs : 0;
+    const lifting = action === 'unmute' || action === 'unban';
+    const payload = this._normalizeModerationPayload({
+      channel,
+      moderatorPubKey: selfKey,
+      targetPubKey,
+      action,
+      reason: options.reason,
+      issuedAt,
+      expiresAt: durationMs > 0 && !lifting ? issuedAt + durationMs : 0,
+      version: 1,
+    });
+    if (!payload.targetPubKey || !MODERATION_ACTIONS.includes(payload.action)) return null;
+    const sig = this._signHex(stableStringify(payload));
+    if (!sig) return null;
+    const entry = { payload, sig };
+    const delegation = this._isOwner(channel, selfKey) ? null : this.delegations.get(channel)?.get(selfKey);
+    if (delegation) entry.delegation = delegation;
+    if (!this._applyModeration(entry)) return null;
+    this._sendModeration(channel, [entry], null);
+    return entry;
+  }
+
+  // Like revocations, moderation actions travel hop by hop and are only forwarded when new.
+  _sendModeration(channel, entries, exceptConnection) {
+    if (!entries || entries.length === 0) return;
+    for (const [connection, perConn] of this.connections.entries()) {
+      if (connection === exceptConnection) continue;
+      const record = perConn.get(channel);
+      if (!record?.message || !record.channel?.opened) continue;
+      if (!this._remoteAuthorized(channel, connection)) continue;
+      this._sendModerationTo(record, channel, entries);
+    }
+  }
+
+  _sendModerationTo(record, channel, entries) {
+    if (!record?.message || !entries || entries.length === 0) return;
+    const payload = this._buildPayload(channel, { control: 'moderation', channel, entries });
+    this._rememberSeen(payload.id, this._now());
+    this._dispatch(payload, (p) => this._send(record, channel, p));
+  }
+
+  _acceptModeration(channel, payload, connection) {
+    const list = Array.isArray(payload?.message?.entries) ? payload.message.entries : [];
+    const fresh = [];
+    for (const entry of list.slice(0, 1000)) {
+      const normalized = this._verifyModeration(entry);
+      if (!normalized || normalized.channel !== channel) continue;
+      if (this._applyModeration(entry)) fresh.push(entry);
+    }
+    this._sendModeration(channel, fresh, connection);
+  }
+
+  // A ban also kicks: close the target's sessions on this channel.
+  _dropBannedSessions(channel, targetKey) {
+    for (const [connection, perConn] of this.connections.entries()) {
+      const record = perConn.get(channel);
+      if (!record || this._getRemoteKey(connection) !== targetKey) continue;
+      record.closeReason = 'banned';
+      try {
+        record.channel?.close?.();
+      } catch (_e) {}
+      perConn.delete(channel);
+      if (this.debug) {
+        console.log(`[sidechannel:${channel}] dropped session (banned) for ${targetKey}`);
+      }
+    }
+  }
+
+  // Moderation is keyed on the signed origin; once a channel moderates anyone, unsigned
+  // payloads are refused so a muted sender cannot slip through under another name.
+  _moderationDropReason(channel, payload, connection) {
+    if (!this._hasActiveModeration(channel)) return null;
+    if (this._moderationFor(channel, this._getRemoteKey(connection)) === 'ban') return 'banned_peer';
+    const origin = normalizeKeyHex(payload?.from);
+    if (!origin || (payload?.origin && normalizeKeyHex(payload.origin) !== origin)) return 'unverified_origin';
+    if (!this._verifySig(payload, origin)) return 'unverified_origin';
+    const action = this._moderationFor(channel, origin);
+    if (action === 'ban') return 'banned_origin';
+    // Muted senders may still authorize and ask for history so they keep receiving the channel.
+    const control = payload?.message?.control;
+    if (action === 'mute' && control !== 'auth' && control !== 'history') return 'muted_origin';
+    return null;
+  }
+
+  _welcomeRequired(channel) {
+    if (this._isEntry(channel)) return false;
+    const rule = this._ruleValue(channel, 'welcome');
+    if (rule !== undefined) return rule;
+    if (!this.welcomeRequired) return false;
+    return true;
+  }
+
+  _isWelcomed(channel) {
+    if (this.welcomedChannels.has(normalizeChannel(channel))) return true;
+    // Owners named by a pattern rule cannot be enumerated up front, so check them here.
+    const selfKey = normalizeKeyHex(this.peer?.wallet?.publicKey);
+    return Boolean(selfKey) && Boolean(this._ruleValue(channel, 'owners')?.includes(selfKey));
+  }
+
+  _rememberWelcome(channel) {
+    this.welcomedChannels.add(normalizeChannel(channel));
+  }
+
+  _verifyWelcome(welcome, channel, connection) {
+    if (!welcome || typeof welcome !== 'object') return false;
+    const payload = welcome.payload && typeof welcome.payload === 'object' ? welcome.payload : welcome;
+    const sigHex = welcome.sig || welcome.signature;
+    if (typeof sigHex !== 'string' || sigHex.length === 0) return false;
+    const normalized = this._normalizeWelcomePayload(payload);
+    if (normalized.channel !== normalizeChannel(channel)) return false;
+    // Any of the channel's owners may sign its welcome.
+    if (!this._isOwner(channel, normalized.ownerPubKey)) return false;
+    if (!Number.isFinite(normalized.issuedAt)) return false;
+    const message = stableStringify(normalized);
+    let sigBuf = null;
+    let pubBuf = null;
+    try {
+      sigBuf = b4a.from(sigHex, 'hex');
+      pubBuf = b4a.from(normalized.ownerPubKey, 'hex');
+    } catch (_e) {
+      return false;
+    }
+    if (!PeerWallet.verify(sigBuf, b4a.from(message), pubBuf)) return false;
+    const previous = this.welcomeByChannel.get(normalizeChannel(channel));
+    if ((previous?.sig || previous?.signature) !== sigHex) this._scheduleStateSave();
+    if (!this._isWelcomed(channel)) {
+      this._emit('welcome', {
+        channel: normalizeChannel(channel),
+        ownerPubKey: normalized.ownerPubKey,
+        text: normalized.text,
+        remoteKey: connection ? this._getRemoteKey(connection) : null,
+      });
+    }
+    this._rememberWelcome(channel);
+    // Persist the verified welcome in-memory so the owner can auto-send it to new connections
+    // without requiring a restart (welcome is still bound to the configured owner key).
+    this.welcomeByChannel.set(normalizeChannel(channel), welcome);
+    return true;
+  }
+
+  _isWelcomeMessage(payload) {
+    return payload?.message?.control === 'welcome';
+  }
+
+  _extractWelcome(payload) {
+    if (!payload || typeof payload !== 'object') return null;
+    return (
+      payload?.message?.welcome ||
+      payload?.welcome ||
+      payload?.invite?.welcome ||
+      payload?.message?.invite?.welcome ||
+      null
+    );
+  }
+
+  _getConfiguredWelcome(channel) {
+    return this.welcomeByChannel.get(normalizeChannel(channel)) || null;
+  }
+
+  getWelcome(channel) {
+    return this._getConfiguredWelcome(channel);
+  }
+
+  _powBase(payload, nonce) {
+    return stableStringify({
+      id: payload?.id ?? null,
+      channel: payload?.channel ?? null,
+      from: payload?.from ?? null,
+      origin: payload?.origin ?? null,
+      message: payload?.message ?? null,
+      ts: payload?.ts ?? null,
+      nonce,
+    });
+  }
+
+  async _attachPow(payload) {
+    const channel = payload?.channel ?? '';
+    if (!this._powRequired(channel)) return;
+    const difficulty = this._powTarget(channel);
+    const startedAt = this._now();
+    let nonce = 0;
+    while (true) {
+      const end = nonce + POW_BATCH;
+      for (; nonce < end; nonce += 1) {
+        const hash = sha256Hex(this._powBase(payload, nonce));
+        if (countLeadingZeroBits(hash) >= difficulty) {
+          payload.pow = { nonce, difficulty };
+          const metrics = this._metricsFor(channel);
+          metrics.powSolved += 1;
+          metrics.powMs += this._now() - startedAt;
+          return;
+        }
+      }
+      await new Promise((resolve) => setTimeout(resolve, 0));
+    }
+  }
+
+  // Solve PoW (if required) and then send; per-channel queueing keeps our messages in order.
+  _dispatch(payload, send) {
+    const channel = payload?.channel ?? '';
+    if (!this._powRequired(channel)) {
+      send(payload);
+      return Promise.resolve(true);
+    }
+    const tail = this._powQueue.get(channel) || Promise.resolve();
+    const next = tail
+      .then(() => this._attachPow(payload))
+      .then(
+        () => {
+          send(payload);
+          return true;
+        },
+        (err) => {
+          console.log(`[sidechannel:${channel}] pow failed: ${err?.message ?? err}`);
+          return false;
+        }
+      );
+    this._powQueue.set(channel, next);
+    next.then(() => {
+      if (this._powQueue.get(channel) === next) this._powQueue.delete(channel);
+    });
+    return next;
+  }
+
+  _powStateFor(channel) {
+    let state = this.powState.get(channel);
+    if (!state) {
+      state = {
+        difficulty: this.powDifficulty,
+        previous: this.powDifficulty,
+        changedAt: 0,
+        windowStart: this._now(),
+        count: 0,
+      };
+      this.powState.set(channel, state);
+    }
+    return state;
+  }
+
+  getPowDifficulty(name) {
+    const channel = normalizeChannel(name);
+    if (!this._powRequired(channel)) return 0;
+    return this.powState.get(channel)?.difficulty ?? this.powDifficulty;
+  }
+
+  // What we solve for when sending: our own requirement or the highest a neighbor advertised.
+  _powTarget(channel) {
+    let difficulty = this.getPowDifficulty(channel);
+    for (const perConn of this.connections.values()) {
+      const advertised = perConn.get(channel)?.powDifficulty;
+      if (Number.isInteger(advertised) && advertised > difficulty) difficulty = advertised;
+    }
+    return difficulty;
+  }
+
+  // Counts accepted traffic towards the channel's current window.
+  _observePowLoad(channel) {
+    if (!this.powAdaptive || !this._powRequired(channel)) return;
+    const state = this._powStateFor(channel);
+    state.count += 1;
+    if (this._now() - state.windowStart >= this.powWindowMs) this._adjustPow(channel, state);
+  }
+
+  // Counts everything a neighbor sends on a channel (invalid PoW extra) towards that connection's
+  // own window. Junk only heats up the connection it came from, never the channel difficulty.
+  _observeConnectionPowLoad(channel, connection, weight = 1) {
+    if (!this.powAdaptive || !this._powRequired(channel)) return;
+    const record = this.connections.get(connection)?.get(channel);
+    if (!record) return;
+    const now = this._now();
+    let load = record.powLoad;
+    if (!load || now - load.windowStart >= this.powWindowMs) {
+      const elapsedSec = load ? Math.max((now - load.windowStart) / 1000, 0.001) : 1;
+      load = { windowStart: now, count: 0, hot: load ? load.count / elapsedSec > this.powTargetRate : false };
+      record.powLoad = load;
+    }
+    load.count += weight;
+  }
+
+  // A neighbor sending above the target rate on its own (last window or this one so far).
+  _connectionPowHot(channel, connection) {
+    const load = this.connections.get(connection)?.get(channel)?.powLoad;
+    if (!load) return false;
+    return load.hot || load.count > (this.powTargetRate * this.powWindowMs) / 1000;
+  }
+
+  _adjustPow(channel, state) {
+    const now = this._now();
+    const elapsedSec = Math.max((now - state.windowStart) / 1000, 0.001);
+    const rate = state.count / elapsedSec;
+    let difficulty = state.difficulty;
+    if (rate > this.powTargetRate && difficulty < this.powMaxDifficulty) {
+      difficulty += 1;
+    } else if (rate < this.powTargetRate / 4 && difficulty > this.powDifficulty) {
+      difficulty -= 1;
+    }
+    state.windowStart = now;
+    state.count = 0;
+    if (difficulty === state.difficulty) return;
+    state.previous = state.difficulty;
+    state.difficulty = difficulty;
+    state.changedAt = now;
+    if (this.debug) {
+      console.log(`[sidechannel:${channel}] pow difficulty ${state.previous} -> ${difficulty} (rate ${rate.toFixed(1)}/s)`);
+    }
+    this._advertisePow(channel);
+  }
+
+  // Quiet channels see no traffic to trigger a window close, so a timer lowers them.
+  _tickPow() {
+    const now = this._now();
+    for (const [channel, state] of this.powState.entries()) {
+      if (now - state.windowStart >= this.powWindowMs) this._adjustPow(channel, state);
+    }
+  }
+
+  _advertisePow(channel, record = null) {
+    if (!this.powAdaptive || !this._powRequired(channel)) return;
+    const records = record
+      ? [record]
+      : Array.from(this.connections.values(), (perConn) => perConn.get(channel)).filter(Boolean);
+    for (const target of records) {
+      if (!target.message || !target.channel?.opened) continue;
+      const payload = this._buildPayload(channel, {
+        control: 'pow',
+        channel,
+        difficulty: this.getPowDifficulty(channel),
+      });
+      this._rememberSeen(payload.id, this._now());
+      this._dispatch(payload, (p) => this._send(target, channel, p));
+    }
+  }
+
+  _acceptPowAdvert(channel, payload, connection) {
+    const record = this.connections.get(connection)?.get(channel);
+    const difficulty = Number(payload?.message?.difficulty);
+    if (!record || !Number.isInteger(difficulty) || difficulty < 0) return;
+    // Never let a neighbor push us past our own ceiling.
+    record.powDifficulty = Math.min(difficulty, this.powMaxDifficulty);
+  }
+
+  // Payloads straight from their origin must meet our current difficulty (or the previous one
+  // right after a raise); relayed and replayed payloads were already checked upstream, so
+  // they only need the base difficulty. The claimed origin is not verified yet, so a neighbor
+  // that is itself over the target rate pays the current difficulty whatever origin it claims.
+  _checkPow(payload, channel, connection = null) {
+    if (!this._powRequired(channel)) return true;
+    const pow = payload?.pow;
+    if (!pow || typeof pow.nonce !== 'number') return false;
+    let difficulty = this.powDifficulty;
+    const origin = normalizeKeyHex(payload?.origin ?? payload?.from);
+    const direct = connection && origin && origin === this._getRemoteKey(connection);
+    if (connection && (direct || this._connectionPowHot(channel, connection))) {
+      const state = this.powState.get(channel);
+      if (state) {
+        const inGrace = state.changedAt > 0 && this._now() - state.changedAt < this.powGraceMs;
+        difficulty = inGrace ? Math.min(state.previous, state.difficulty) : state.difficulty;
+      }
+    }
+    if (!Number.isInteger(difficulty) || difficulty <= 0) return false;
+    const hash = sha256Hex(this._powBase(payload, pow.nonce));
+    return countLeadingZeroBits(hash) >= difficulty;
+  }
+
+  _sigPayload(payload) {
+    // Normalize to JSON-compatible data so the signature base matches what receivers
+    // observe after compact-encoding's JSON roundtrip.
+    let message = null;
+    try {
+      message = JSON.parse(JSON.stringify(payload?.message ?? null));
+    } catch (_e) {
+      message = null;
+    }
+
+    return {
+      kind: 'sidechannel_message_v1',
+      id: payload?.id ?? null,
+      channel: payload?.channel ?? null,
+      from: normalizeKeyHex(payload?.from) ?? null,
+      origin: normalizeKeyHex(payload?.origin) ?? null,
+      ts: payload?.ts ?? null,
+      message,
+    };
+  }
+
+  _sigBase(payload) {
+    return stableStringify(this._sigPayload(payload));
+  }
+
+  _signHex(msg) {
+    if (!this.peer?.wallet || typeof this.peer.wallet.sign !== 'function') return null;
+    let sig = null;
+    try {
+      sig = this.peer.wallet.sign(b4a.from(msg));
+    } catch (_e) {
+      return null;
+    }
+    let sigHex = '';
+    if (typeof sig === 'string') {
+      sigHex = sig.trim();
+    } else if (sig && sig.length > 0) {
+      sigHex = b4a.toString(sig, 'hex');
+    }
+    return sigHex ? sigHex.toLowerCase() : null;
+  }
+
+  _attachSig(payload) {
+    if (!payload || typeof payload !== 'object') return false;
+    const msg = this._sigBase(payload);
+    const sigHex = this._signHex(msg);
+    if (!sigHex) return false;
+    payload.sig = sigHex;
+    if (this.debug) {
+      const control = payload?.message?.control;
+      if (control !== 'auth' && control !== 'welcome') {
+        const hash = sha256Hex(msg);
+        console.log(
+          `[sidechannel:${payload?.channel ?? 'unknown'}] sign hash=${hash} sigLen=${payload.sig.length}`
+        );
+      }
+    }
+    return true;
+  }
+
+  _verifySig(payload, pubkeyHex) {
+    const sigHex = payload?.sig || payload?.signature;
+    if (typeof sigHex !== 'string' || sigHex.length === 0) return false;
+    if (typeof pubkeyHex !== 'string' || pubkeyHex.length === 0) return false;
+    let sigBuf = null;
+    let pubBuf = null;
+    try {
+      sigBuf = b4a.from(sigHex, 'hex');
+      pubBuf = b4a.from(String(pubkeyHex).trim().toLowerCase(), 'hex');
+    } catch (_e) {
+      return false;
+    }
+    const msg = this._sigBase(payload);
+    return PeerWallet.verify(sigBuf, b4a.from(msg), pubBuf);
+  }
+
+  _walletSecretKey() {
+    const secret = this.peer?.wallet?.secretKey;
+    if (!secret) return null;
+    try {
+      if (b4a.isBuffer(secret)) return secret;
+      if (typeof secret === 'string') return b4a.from(secret.trim(), 'hex');
+      return b4a.from(secret);
+    } catch (_e) {
+      return null;
+    }
+  }
+
+  _keyId(key) {
+    return sha256Hex(key).slice(0, 16);
+  }
+
+  _encryptionRequired(channel) {
+    if (this._isEntry(channel)) return false;
+    const normalized = normalizeChannel(channel);
+    return this.encryptedChannels.has(normalized) || this.channelKeys.has(normalized);
+  }
+
+  isEncrypted(channel) {
+    return this._encryptionRequired(channel);
+  }
+
+  createChannelKey(channel) {
+    const normalized = normalizeChannel(channel);
+    if (!normalized || this._isEntry(normalized)) return null;
+    const key = b4a.alloc(sodium.crypto_secretbox_KEYBYTES);
+    sodium.randombytes_buf(key);
+    const keyId = this._keyId(key);
+    this.channelKeys.set(normalized, { key, keyId });
+    this.encryptedChannels.add(normalized);
+    this._scheduleStateSave();
+    return keyId;
+  }
+
+  // The one peer allowed to mint a channel's key: its first owner, else the first inviter key.
+  // Other inviters only re-seal a key they received, so every member ends up with the same key.
+  _channelKeySource(channel) {
+    const owners = this._getOwnerKeys(channel);
+    if (owners.length > 0) return owners[0];
+    if (this.inviterKeys) return this.inviterKeys.values().next().value;
+    return normalizeKeyHex(this.peer?.wallet?.publicKey);
+  }
+
+  // Seal the channel key to an invitee's ed25519 public key (converted to X25519).
+  // Only the key source creates the key (on first use); other inviters must already hold it.
+  sealChannelKey(channel, inviteePubKey) {
+    const normalized = normalizeChannel(channel);
+    if (!this.channelKeys.has(normalized)) {
+      const selfKey = normalizeKeyHex(this.peer?.wallet?.publicKey);
+      if (!selfKey || this._channelKeySource(normalized) !== selfKey) return null;
+      if (!this.createChannelKey(normalized)) return null;
+    }
+    const { key, keyId } = this.channelKeys.get(normalized);
+    const invitee = normalizeKeyHex(inviteePubKey);
+    try {
+      const edPk = b4a.from(invitee, 'hex');
+      if (edPk.length !== sodium.crypto_sign_PUBLICKEYBYTES) return null;
+      const boxPk = b4a.alloc(sodium.crypto_box_PUBLICKEYBYTES);
+      sodium.crypto_sign_ed25519_pk_to_curve25519(boxPk, edPk);
+      const sealed = b4a.alloc(sodium.crypto_box_SEALBYTES + key.length);
+      sodium.crypto_box_seal(sealed, key, boxPk);
+      return { sealedKey: b4a.toString(sealed, 'hex'), keyId };
+    } catch (_e) {
+      return null;
+    }
+  }
+
+  _openChannelKey(channel, sealedKeyHex, keyId) {
+    const edPk = b4a.from(normalizeKeyHex(this.peer?.wallet?.publicKey) || '', 'hex');
+    const edSk = this._walletSecretKey();
+    if (edPk.length !== sodium.crypto_sign_PUBLICKEYBYTES) return false;
+    if (!edSk || edSk.length !== sodium.crypto_sign_SECRETKEYBYTES) return false;
+    try {
+      const sealed = b4a.from(sealedKeyHex, 'hex');
+      if (sealed.length !== sodium.crypto_box_SEALBYTES + sodium.crypto_secretbox_KEYBYTES) return false;
+      const boxPk = b4a.alloc(sodium.crypto_box_PUBLICKEYBYTES);
+      const boxSk = b4a.alloc(sodium.crypto_box_SECRETKEYBYTES);
+      sodium.crypto_sign_ed25519_pk_to_curve25519(boxPk, edPk);
+      sodium.crypto_sign_ed25519_sk_to_curve25519(boxSk, edSk);
+      const key = b4a.alloc(sodium.crypto_secretbox_KEYBYTES);
+      if (!sodium.crypto_box_seal_open(key, sealed, boxPk, boxSk)) return false;
+      if (keyId && this._keyId(key) !== keyId) return false;
+      const normalized = normalizeChannel(channel);
+      this.channelKeys.set(normalized, { key, keyId: this._keyId(key) });
+      this.encryptedChannels.add(normalized);
+      return true;
+    } catch (_e) {
+      return false;
+    }
+  }
+
+  _boxPublicKey(edPubKeyHex) {
+    const edPk = b4a.from(normalizeKeyHex(edPubKeyHex) || '', 'hex');
+    if (edPk.length !== sodium.crypto_sign_PUBLICKEYBYTES) return null;
+    const boxPk = b4a.alloc(sodium.crypto_box_PUBLICKEYBYTES);
+    try {
+      sodium.crypto_sign_ed25519_pk_to_curve25519(boxPk, edPk);
+    } catch (_e) {
+      return null;
+    }
+    return boxPk;
+  }
+
+  _boxSecretKey() {
+    if (this._cachedBoxSecretKey) return this._cachedBoxSecretKey;
+    const edSk = this._walletSecretKey();
+    if (!edSk || edSk.length !== sodium.crypto_sign_SECRETKEYBYTES) return null;
+    const boxSk = b4a.alloc(sodium.crypto_box_SECRETKEYBYTES);
+    sodium.crypto_sign_ed25519_sk_to_curve25519(boxSk, edSk);
+    this._cachedBoxSecretKey = boxSk;
+    return boxSk;
+  }
+
+  // Deterministic pairwise channel name: both sides derive the same label from the two keys.
+  directChannel(pubkey) {
+    const selfKey = normalizeKeyHex(this.peer?.wallet?.publicKey);
+    const otherKey = normalizeKeyHex(pubkey);
+    if (!selfKey || !otherKey) return null;
+    const [lo, hi] = [selfKey, otherKey].sort();
+    return `dm:${sha256Hex(`sidechannel-dm:${lo}:${hi}`).slice(0, 32)}`;
+  }
+
+  // Direct messages ride the entry channel (so any path of peers can relay them) as a
+  // crypto_box to the recipient; only the recipient can open it. The content is private, but
+  // every entry-channel peer sees that `from` wrote to `to` (the envelope is signed in the clear
+  // and `to` tells relays where it ends). directChannel() only labels the conversation locally.
+  sendDirect(pubkey, message) {
+    const to = normalizeKeyHex(pubkey);
+    const selfKey = normalizeKeyHex(this.peer?.wallet?.publicKey);
+    if (!to || !selfKey || to === selfKey || !this.entryChannel) return false;
+    const recipientPk = this._boxPublicKey(to);
+    const senderSk = this._boxSecretKey();
+    if (!recipientPk || !senderSk) {
+      console.log('[sidechannel] direct message rejected (invalid recipient key or wallet secret unavailable).');
+      return false;
+    }
+    let plaintext = null;
+    try {
+      plaintext = b4a.from(JSON.stringify(message ?? null));
+    } catch (_e) {
+      console.log('[sidechannel] direct message rejected (non-serializable payload).');
+      return false;
+    }
+    const nonce = b4a.alloc(sodium.crypto_box_NONCEBYTES);
+    sodium.randombytes_buf(nonce);
+    const ciphertext = b4a.alloc(plaintext.length + sodium.crypto_box_MACBYTES);
+    sodium.crypto_box_easy(ciphertext, plaintext, nonce, recipientPk, senderSk);
+    return this.broadcast(this.entryChannel, {
+      dm: DIRECT_SCHEME,
+      to,
+      nonce: b4a.toString(nonce, 'hex'),
+      ct: b4a.toString(ciphertext, 'base64'),
+    });
+  }
+
+  _isDirectMessage(message) {
+    return Boolean(message && typeof message === 'object' && message.dm === DIRECT_SCHEME);
+  }
+
+  _isDirectForSelf(message) {
+    const selfKey = normalizeKeyHex(this.peer?.wallet?.publicKey);
+    return Boolean(selfKey) && normalizeKeyHex(message?.to) === selfKey;
+  }
+
+  // Returns the opened DM (labelled with the pairwise channel) if addressed to us, else null.
+  _openDirect(payload) {
+    const box = payload?.message;
+    if (!this._isDirectForSelf(box)) return null;
+    const sender = normalizeKeyHex(payload?.from);
+    if (!sender || !this._verifySig(payload, sender)) return null;
+    const senderPk = this._boxPublicKey(sender);
+    const recipientSk = this._boxSecretKey();
+    if (!senderPk || !recipientSk) return null;
+    try {
+      const nonce = b4a.from(String(box.nonce), 'hex');
+      const ciphertext = b4a.from(String(box.ct), 'base64');
+      if (nonce.length !== sodium.crypto_box_NONCEBYTES) return null;
+      if (ciphertext.length < sodium.crypto_box_MACBYTES) return null;
+      const plaintext = b4a.alloc(ciphertext.length - sodium.crypto_box_MACBYTES);
+      if (!sodium.crypto_box_open_easy(plaintext, ciphertext, nonce, senderPk, recipientSk)) return null;
+      return {
+        ...payload,
+        channel: this.directChannel(sender),
+        message: JSON.parse(b4a.toString(plaintext)),
+        direct: true,
+        encrypted: true,
+      };
+    } catch (_e) {
+      return null;
+    }
+  }
+
+  _isEncryptedMessage(message) {
+    return Boolean(message && typeof message === 'object' && message.enc === ENCRYPTION_SCHEME);
+  }
+
+  _encryptMessage(channel, message) {
+    const record = this.channelKeys.get(normalizeChannel(channel));
+    if (!record) return null;
+    let plaintext = null;
+    try {
+      plaintext = b4a.from(JSON.stringify(message ?? null));
+    } catch (_e) {
+      return null;
+    }
+    const nonce = b4a.alloc(sodium.crypto_secretbox_NONCEBYTES);
+    sodium.randombytes_buf(nonce);
+    const ciphertext = b4a.alloc(plaintext.length + sodium.crypto_secretbox_MACBYTES);
+    sodium.crypto_secretbox_easy(ciphertext, plaintext, nonce, record.key);
+    return {
+      enc: ENCRYPTION_SCHEME,
+      keyId: record.keyId,
+      nonce: b4a.toString(nonce, 'hex'),
+      ct: b4a.toString(ciphertext, 'base64'),
+    };
+  }
+
+  // Returns a copy of the payload with the decrypted message, or null without a matching key.
+  _decryptPayload(channel, payload) {
+    const record = this.channelKeys.get(normalizeChannel(channel));
+    const box = payload?.message;
+    if (!record || box.keyId !== record.keyId) return null;
+    try {
+      const nonce = b4a.from(String(box.nonce), 'hex');
+      const ciphertext = b4a.from(String(box.ct), 'base64');
+      if (nonce.length !== sodium.crypto_secretbox_NONCEBYTES) return null;
+      if (ciphertext.length < sodium.crypto_secretbox_MACBYTES) return null;
+      const plaintext = b4a.alloc(ciphertext.length - sodium.crypto_secretbox_MACBYTES);
+      if (!sodium.crypto_secretbox_open_easy(plaintext, ciphertext, nonce, record.key)) return null;
+      return { ...payload, message: JSON.parse(b4a.toString(plaintext)), encrypted: true };
+    } catch (_e) {
+      return null;
+    }
   }
 
-  _welcomeRequired(channel) {
-    if (this._isEntry(channel)) return false;
-    if (!this.welcomeRequired) return false;
+  // Surface a received (or replayed) payload: decrypt, route DMs/RPC, then onMessage.
+  // Returns false if the payload must be dropped entirely (not relayed or stored).
+  _deliver(channel, payload, connection, options = {}) {
+    const encrypted = this._isEncryptedMessage(payload?.message);
+    if (!encrypted && this._encryptionRequired(channel)) {
+      this._drop(channel, 'plaintext_on_encrypted', connection, payload);
+      return false;
+    }
+    // Without the channel key we can still relay the ciphertext; we just cannot read it.
+    const opened = encrypted ? this._decryptPayload(channel, payload) : payload;
+    const delivered = opened && options.replayed ? { ...opened, replayed: true } : opened;
+    const rpc = delivered?.message?.rpc;
+    if (delivered && this._isDirectMessage(delivered.message)) {
+      // Direct messages for other peers are relayed untouched and never surfaced here.
+      const direct = this._openDirect(delivered);
+      if (direct) this._emit('message', { channel: direct.channel, payload: direct, connection });
+      if (direct && this.onMessage) {
+        this.onMessage(direct.channel, direct, connection);
+      } else if (direct) {
+        console.log(`[sidechannel:${direct.channel}] direct from ${direct.from}:`, direct.message);
+      }
+    } else if (!delivered) {
+      if (this.debug) {
+        console.log(`[sidechannel:${channel}] cannot decrypt (no matching channel key); relaying ciphertext`);
+      }
+    } else if (rpc === 'request' || rpc === 'response') {
+      // RPC traffic is routed by recipient, not shown as chat; replays are never re-executed.
+      if (!options.replayed) this._handleRpc(channel, delivered, connection);
+    } else {
+      this._emit('message', { channel, payload: delivered, connection });
+      if (this.onMessage) {
+        this.onMessage(channel, delivered, connection);
+      } else {
+        const from = delivered?.from ?? 'unknown';
+        const msg = delivered?.message ?? delivered;
+        console.log(`[sidechannel:${channel}] ${from}:`, msg);
+      }
+    }
     return true;
   }
 
-  _isWelcomed(channel) {
-    return this.welcomedChannels.has(normalizeChannel(channel));
+  _historyEnabled(channel) {
+    if (!this.historyDir) return false;
+    const normalized = normalizeChannel(channel);
+    if (this.historyChannels) return this.historyChannels.has(normalized);
+    return !this._isEntry(normalized);
   }
 
-  _rememberWelcome(channel) {
-    this.welcomedChannels.add(normalizeChannel(channel));
+  _historyFile(channel) {
+    return path.join(this.historyDir, `${sha256Hex(`sidechannel-history:${normalizeChannel(channel)}`).slice(0, 32)}.ndjson`);
   }
 
-  _verifyWelcome(welcome, channel, connection) {
-    if (!welcome || typeof welcome !== 'object') return false;
-    const payload = welcome.payload && typeof welcome.payload === 'object' ? welcome.payload : welcome;
-    const sigHex = welcome.sig || welcome.signature;
-    if (typeof sigHex !== 'string' || sigHex.length === 0) return false;
-    const normalized = this._normalizeWelcomePayload(payload);
-    if (normalized.channel !== normalizeChannel(channel)) return false;
-    const ownerKey = this._getOwnerKey(channel);
-    if (!ownerKey || normalized.ownerPubKey !== ownerKey) return false;
-    if (!Number.isFinite(normalized.issuedAt)) return false;
-    const message = stableStringify(normalized);
-    let sigBuf = null;
-    let pubBuf = null;
+  _getHistory(channel) {
+    const normalized = normalizeChannel(channel);
+    let history = this.history.get(normalized);
+    if (history) return history;
+    history = { messages: [], ids: new Set() };
+    this.history.set(normalized, history);
+    let text = '';
     try {
-      sigBuf = b4a.from(sigHex, 'hex');
-      pubBuf = b4a.from(ownerKey, 'hex');
+      text = fs.readFileSync(this._historyFile(normalized), 'utf8');
     } catch (_e) {
-      return false;
+      return history;
     }
-    if (!PeerWallet.verify(sigBuf, b4a.from(message), pubBuf)) return false;
-    this._rememberWelcome(channel);
-    // Persist the verified welcome in-memory so the owner can auto-send it to new connections
-    // without requiring a restart (welcome is still bound to the configured owner key).
-    this.welcomeByChannel.set(normalizeChannel(channel), welcome);
-    return true;
+    for (const line of text.split('\n')) {
+      if (!line) continue;
+      try {
+        const payload = JSON.parse(line);
+        if (payload?.id && !history.ids.has(payload.id) && !(payload.ts > this._now() + HISTORY_MAX_SKEW_MS)) {
+          history.messages.push(payload);
+          history.ids.add(payload.id);
+        }
+      } catch (_e) {
+        // Torn last line after a crash; the rest of the file is still usable.
+      }
+    }
+    history.messages.sort((a, b) => a.ts - b.ts);
+    this._pruneHistory(normalized, history, true);
+    return history;
   }
 
-  _isWelcomeMessage(payload) {
-    return payload?.message?.control === 'welcome';
+  _pruneHistory(channel, history, forceWrite = false) {
+    const cutoff = this._now() - this.historyMaxAgeMs;
+    let drop = 0;
+    while (drop < history.messages.length && !(history.messages[drop].ts >= cutoff)) drop += 1;
+    drop = Math.max(drop, history.messages.length - this.historyMaxMessages);
+    if (drop > 0) {
+      for (const payload of history.messages.splice(0, drop)) history.ids.delete(payload.id);
+    }
+    if (drop === 0 && !forceWrite) return;
+    try {
+      const lines = history.messages.map((payload) => `${JSON.stringify(payload)}\n`).join('');
+      writeFileAtomic(this._historyFile(channel), lines);
+    } catch (err) {
+      console.log(`[sidechannel:${channel}] history write failed: ${err?.message ?? err}`);
+    }
   }
 
-  _extractWelcome(payload) {
-    if (!payload || typeof payload !== 'object') return null;
-    return (
-      payload?.message?.welcome ||
-      payload?.welcome ||
-      payload?.invite?.welcome ||
-      payload?.message?.invite?.welcome ||
-      null
-    );
+  // Store the signed wire payload (ciphertext on encrypted channels) so it can be replayed verbatim.
+  _recordHistory(channel, payload) {
+    if (!this._historyEnabled(channel)) return;
+    if (!payload?.id || !Number.isFinite(payload?.ts) || payload?.message?.control) return;
+    // A far-future ts would never age out and would stall every later `since` request.
+    if (payload.ts > this._now() + HISTORY_MAX_SKEW_MS) return;
+    if (this._isDirectMessage(payload.message) || payload.message?.rpc) return;
+    const author = normalizeKeyHex(payload.from);
+    if (!author || !this._verifySig(payload, author)) return;
+    const history = this._getHistory(channel);
+    if (history.ids.has(payload.id)) return;
+    const stored = { ...payload };
+    delete stored.relayedBy;
+    delete stored.ttl;
+    history.messages.push(stored);
+    history.ids.add(stored.id);
+    if (history.messages.length > 1 && stored.ts < history.messages[history.messages.length - 2].ts) {
+      history.messages.sort((a, b) => a.ts - b.ts);
+    }
+    try {
+      fs.mkdirSync(this.historyDir, { recursive: true });
+      fs.appendFileSync(this._historyFile(channel), `${JSON.stringify(stored)}\n`, { mode: 0o600 });
+    } catch (err) {
+      console.log(`[sidechannel:${channel}] history append failed: ${err?.message ?? err}`);
+    }
+    // Rewrite the file only once it has grown well past the bound.
+    if (history.messages.length > this.historyMaxMessages * 1.5) this._pruneHistory(channel, history);
   }
 
-  _getConfiguredWelcome(channel) {
-    return this.welcomeByChannel.get(normalizeChannel(channel)) || null;
+  requestHistory(name, since = null) {
+    const channel = normalizeChannel(name);
+    if (!channel || !this.channels.has(channel)) return false;
+    let sent = false;
+    for (const [connection, perConn] of this.connections.entries()) {
+      const record = perConn.get(channel);
+      if (!record?.message || !record.channel?.opened) continue;
+      if (!this._remoteAuthorized(channel, connection)) continue;
+      this._sendHistoryRequest(record, channel, since);
+      sent = true;
+    }
+    return sent;
   }
 
-  getWelcome(channel) {
-    return this._getConfiguredWelcome(channel);
+  _sendHistoryRequest(record, channel, since = null) {
+    let from = Number(since);
+    if (!Number.isFinite(from)) {
+      // Ask only for what we have not stored yet.
+      const stored = this._historyEnabled(channel) ? this._getHistory(channel).messages : [];
+      from = stored.length > 0 ? Math.min(stored[stored.length - 1].ts, this._now()) : this._now() - this.historyMaxAgeMs;
+    }
+    const payload = this._buildPayload(channel, { control: 'history', channel, since: from });
+    this._rememberSeen(payload.id, this._now());
+    this._dispatch(payload, (p) => this._send(record, channel, p));
   }
 
-  _powBase(payload, nonce) {
-    return stableStringify({
-      id: payload?.id ?? null,
-      channel: payload?.channel ?? null,
-      from: payload?.from ?? null,
-      origin: payload?.origin ?? null,
-      message: payload?.message ?? null,
-      ts: payload?.ts ?? null,
-      nonce,
-    });
+  _answerHistory(channel, payload, connection) {
+    if (!this._historyEnabled(channel) || !this._remoteAuthorized(channel, connection)) return;
+    const record = this.connections.get(connection)?.get(channel);
+    if (!record?.message) return;
+    const since = Number(payload?.message?.since);
+    const matches = this._getHistory(channel).messages.filter(
+      (stored) => !Number.isFinite(since) || stored.ts > since
+    );
+    // Chunk replies so each stays well under maxMessageBytes.
+    const budget = Math.floor(this.maxMessageBytes / 2);
+    let batch = [];
+    let batchBytes = 0;
+    const flush = () => {
+      if (batch.length === 0) return;
+      const reply = this._buildPayload(channel, { control: 'history_reply', channel, messages: batch });
+      this._rememberSeen(reply.id, this._now());
+      this._dispatch(reply, (p) => this._send(record, channel, p));
+      batch = [];
+      batchBytes = 0;
+    };
+    for (const stored of matches) {
+      const bytes = b4a.byteLength(JSON.stringify(stored), 'utf8');
+      if (bytes > budget) continue;
+      if (batchBytes + bytes > budget) flush();
+      batch.push(stored);
+      batchBytes += bytes;
+    }
+    flush();
   }
 
-  _attachPow(payload) {
-    const channel = payload?.channel ?? '';
-    if (!this._powRequired(channel)) return;
-    const difficulty = this.powDifficulty;
-    let nonce = 0;
-    while (true) {
-      const hash = sha256Hex(this._powBase(payload, nonce));
-      if (countLeadingZeroBits(hash) >= difficulty) {
-        payload.pow = { nonce, difficulty };
-        return;
+  // Replayed messages are re-verified one by one: signature by their author, PoW and owner-only rules.
+  _acceptHistory(channel, payload, connection) {
+    const messages = Array.isArray(payload?.message?.messages) ? payload.message.messages : [];
+    for (const stored of messages) {
+      if (!stored || typeof stored !== 'object' || stored.channel !== channel) continue;
+      if (!stored.id || stored.message?.control) continue;
+      const author = normalizeKeyHex(stored.from);
+      if (!author || !this._verifySig(stored, author)) {
+        this._drop(channel, 'history_signature', connection, stored);
+        continue;
       }
-      nonce += 1;
+      if (this._ownerWriteOnly(channel) && !this._canWrite(channel, author, stored.delegation)) continue;
+      if (this._moderationFor(channel, author)) continue;
+      if (!this._checkPow(stored, channel)) continue;
+      if (this._historyEnabled(channel) && this._getHistory(channel).ids.has(stored.id)) continue;
+      if (this._rememberSeen(stored.id, this._now())) continue;
+      if (!this._deliver(channel, stored, connection, { replayed: true })) continue;
+      this._recordHistory(channel, stored);
     }
   }
 
-  _checkPow(payload, channel) {
-    if (!this._powRequired(channel)) return true;
-    const pow = payload?.pow;
-    if (!pow || typeof pow.nonce !== 'number') return false;
-    const difficulty = this.powDifficulty;
-    if (!Number.isInteger(difficulty) || difficulty <= 0) return false;
-    const hash = sha256Hex(this._powBase(payload, pow.nonce));
-    return countLeadingZeroBits(hash) >= difficulty;
+  _scheduleStateSave() {
+    if (!this.stateFile || this._stateLoading || this._stateSaveTimer) return;
+    // Coalesce bursts (e.g. many peers authorizing at once) into one write.
+    this._stateSaveTimer = setTimeout(() => {
+      this._stateSaveTimer = null;
+      this._saveState();
+    }, 250);
   }
 
-  _sigPayload(payload) {
-    // Normalize to JSON-compatible data so the signature base matches what receivers
-    // observe after compact-encoding's JSON roundtrip.
-    let message = null;
+  _loadState() {
+    if (!this.stateFile) return;
+    let parsed = null;
     try {
-      message = JSON.parse(JSON.stringify(payload?.message ?? null));
-    } catch (_e) {
-      message = null;
+      parsed = JSON.parse(fs.readFileSync(this.stateFile, 'utf8'));
+    } catch (err) {
+      if (err?.code !== 'ENOENT') console.log(`[sidechannel] state file unreadable, starting empty: ${err?.message ?? err}`);
+      return;
     }
-
-    return {
-      kind: 'sidechannel_message_v1',
-      id: payload?.id ?? null,
-      channel: payload?.channel ?? null,
-      from: normalizeKeyHex(payload?.from) ?? null,
-      origin: normalizeKeyHex(payload?.origin) ?? null,
-      ts: payload?.ts ?? null,
-      message,
-    };
-  }
-
-  _sigBase(payload) {
-    return stableStringify(this._sigPayload(payload));
+    const now = this._now();
+    this._stateLoading = true;
+    try {
+      for (const [channel, sealed] of entriesOf(parsed?.sealedChannelKeys)) {
+        this._openChannelKey(channel, String(sealed?.sealedKey ?? ''), sealed?.keyId ? String(sealed.keyId) : null);
+      }
+      // Version 1 files stored the keys in the clear; they are rewritten sealed on the next save.
+      for (const [channel, keyHex] of entriesOf(parsed?.channelKeys)) {
+        const normalized = normalizeChannel(channel);
+        let key = null;
+        try {
+          key = b4a.from(String(keyHex), 'hex');
+        } catch (_e) {
+          continue;
+        }
+        if (!normalized || key.length !== sodium.crypto_secretbox_KEYBYTES) continue;
+        this.channelKeys.set(normalized, { key, keyId: this._keyId(key) });
+        this.encryptedChannels.add(normalized);
+      }
+      // _acceptLocalInvite re-checks signature, expiry and revocations.
+      for (const [channel, invite] of entriesOf(parsed?.localInvites)) {
+        this._acceptLocalInvite(invite, channel);
+      }
+      for (const [channel, invitees] of entriesOf(parsed?.invitees)) {
+        for (const [pubkey, record] of entriesOf(invitees)) {
+          const key = normalizeKeyHex(pubkey);
+          if (!key || !Number.isFinite(record?.expiresAt) || record.expiresAt <= now) continue;
+          this._rememberInvite(channel, key, record);
+        }
+      }
+      for (const [channel, welcome] of entriesOf(parsed?.welcomes)) {
+        // Configured welcomes take precedence over remembered ones.
+        if (this.welcomeByChannel.has(normalizeChannel(channel))) continue;
+        this._verifyWelcome(welcome, channel, null);
+      }
+      const channels = Array.isArray(parsed?.channels) ? parsed.channels : [];
+      for (const name of channels) {
+        const entry = this._registerChannel(name);
+        if (entry) this.joinedChannels.add(entry.name);
+      }
+    } finally {
+      this._stateLoading = false;
+    }
+    if (parsed?.channelKeys) this._scheduleStateSave();
   }
 
-  _attachSig(payload) {
-    if (!payload || typeof payload !== 'object') return false;
-    if (!this.peer?.wallet || typeof this.peer.wallet.sign !== 'function') return false;
-    const msg = this._sigBase(payload);
-    let sig = null;
-    try {
-      sig = this.peer.wallet.sign(b4a.from(msg));
-    } catch (_e) {
-      return false;
+  _saveState() {
+    if (!this.stateFile) return;
+    if (this._stateSaveTimer) {
+      clearTimeout(this._stateSaveTimer);
+      this._stateSaveTimer = null;
     }
-    let sigHex = '';
-    if (typeof sig === 'string') {
-      sigHex = sig.trim();
-    } else if (sig && sig.length > 0) {
-      sigHex = b4a.toString(sig, 'hex');
+    const now = this._now();
+    const localInvites = {};
+    for (const [channel, invite] of this.localInviteObjects.entries()) {
+      if (this._isLocallyInvited(channel)) localInvites[channel] = invite;
     }
-    if (!sigHex) return false;
-    payload.sig = sigHex.toLowerCase();
-    if (this.debug) {
-      const control = payload?.message?.control;
-      if (control !== 'auth' && control !== 'welcome') {
-        const hash = sha256Hex(msg);
-        console.log(
-          `[sidechannel:${payload?.channel ?? 'unknown'}] sign hash=${hash} sigLen=${payload.sig.length}`
-        );
+    const invitees = {};
+    for (const [channel, map] of this.invitedPeers.entries()) {
+      const live = {};
+      for (const [pubkey, record] of map.entries()) {
+        if (Number.isFinite(record?.expiresAt) && record.expiresAt > now) live[pubkey] = record;
       }
+      if (Object.keys(live).length > 0) invitees[channel] = live;
     }
-    return true;
-  }
-
-  _verifySig(payload, pubkeyHex) {
-    const sigHex = payload?.sig || payload?.signature;
-    if (typeof sigHex !== 'string' || sigHex.length === 0) return false;
-    if (typeof pubkeyHex !== 'string' || pubkeyHex.length === 0) return false;
-    let sigBuf = null;
-    let pubBuf = null;
+    const welcomes = {};
+    for (const [channel, welcome] of this.welcomeByChannel.entries()) {
+      if (this._isWelcomed(channel)) welcomes[channel] = welcome;
+    }
+    // Channel keys are sealed to our own wallet key, like invites seal them to invitees.
+    const sealedChannelKeys = {};
+    const selfKey = normalizeKeyHex(this.peer?.wallet?.publicKey);
+    for (const channel of this.channelKeys.keys()) {
+      const sealed = selfKey ? this.sealChannelKey(channel, selfKey) : null;
+      if (sealed) sealedChannelKeys[channel] = sealed;
+    }
+    const state = {
+      version: 2,
+      channels: Array.from(this.joinedChannels),
+      localInvites,
+      invitees,
+      welcomes,
+      sealedChannelKeys,
+    };
     try {
-      sigBuf = b4a.from(sigHex, 'hex');
-      pubBuf = b4a.from(String(pubkeyHex).trim().toLowerCase(), 'hex');
-    } catch (_e) {
-      return false;
+      writeFileAtomic(this.stateFile, `${JSON.stringify(state, null, 2)}\n`);
+    } catch (err) {
+      console.log(`[sidechannel] state write failed: ${err?.message ?? err}`);
     }
-    const msg = this._sigBase(payload);
-    return PeerWallet.verify(sigBuf, b4a.from(msg), pubBuf);
   }
 
   _registerChannel(name) {
@@ -678,9 +2989,8 @@ class Sidechannel extends Feature {
   _sendWelcome(record, entry, connection) {
     const welcome = this._getConfiguredWelcome(entry.name);
     if (!welcome) return;
-    const ownerKey = this._getOwnerKey(entry.name);
     const selfKey = normalizeKeyHex(this.peer?.wallet?.publicKey);
-    if (!ownerKey || !selfKey || ownerKey !== selfKey) return;
+    if (!this._isOwner(entry.name, selfKey)) return;
     // For invite-only channels, don't send plaintext control payloads to unauthorized peers.
     if (connection && this._inviteRequired(entry.name)) {
       const remoteKey = this._getRemoteKey(connection);
@@ -690,7 +3000,7 @@ class Sidechannel extends Feature {
     if (!record?.message) return;
     const payload = this._buildPayload(entry.name, { control: 'welcome', welcome });
     this._rememberSeen(payload.id, this._now());
-    record.message.send(payload);
+    this._dispatch(payload, (p) => this._send(record, entry.name, p));
   }
 
   _sendAuth(record, entry) {
@@ -707,13 +3017,14 @@ class Sidechannel extends Feature {
       invite,
     });
     this._rememberSeen(payload.id, this._now());
-    record.message.send(payload);
+    this._dispatch(payload, (p) => this._send(record, entry.name, p));
     record.authSent = true;
   }
 
   _remoteAuthorized(channel, connection) {
-    if (!this._inviteRequired(channel)) return true;
     const remoteKey = this._getRemoteKey(connection);
+    if (this._moderationFor(channel, remoteKey) === 'ban') return false;
+    if (!this._inviteRequired(channel)) return true;
     if (this.inviterKeys && this.inviterKeys.has(remoteKey)) return true;
     return this._isInvited(channel, remoteKey);
   }
@@ -760,7 +3071,14 @@ class Sidechannel extends Feature {
     const channel = mux.createChannel({
       protocol: entry.protocol,
       onopen() {},
-      onclose() {}
+      onclose: () => {
+        if (!record.opened) return;
+        this._emit('peer_close', {
+          channel: entry.name,
+          remoteKey: this._getRemoteKey(connection),
+          reason: record.closeReason ?? 'closed',
+        });
+      }
     });
     if (!channel) {
       if (this.debug) {
@@ -780,60 +3098,88 @@ class Sidechannel extends Feature {
           return;
         }
         const payloadBytes = b4a.byteLength(payloadJson, 'utf8');
+        const metrics = this._metricsFor(entry.name);
+        metrics.messagesIn += 1;
+        metrics.bytesIn += payloadBytes;
         if (this.debug) {
           console.log(
             `[sidechannel:${entry.name}] recv ${payloadBytes} bytes from ${this._getRemoteKey(connection)}`
           );
         }
         if (!this._checkInvite(payload, entry.name, connection)) {
-          if (this.debug) {
-            console.log(`[sidechannel:${entry.name}] drop (invite) from ${this._getRemoteKey(connection)}`);
-          }
+          this._drop(entry.name, 'invite', connection, payload);
           return;
         }
-        if (!this._checkPow(payload, entry.name)) {
-          if (this.debug) {
-            console.log(`[sidechannel:${entry.name}] drop (invalid pow) from ${this._getRemoteKey(connection)}`);
-          }
+        const powAdvert = payload?.message?.control === 'pow';
+        // Difficulty adverts are not load; counting them would let neighbors keep each other up.
+        if (!powAdvert) this._observeConnectionPowLoad(entry.name, connection);
+        if (!this._checkPow(payload, entry.name, connection)) {
+          this._observeConnectionPowLoad(entry.name, connection, 1);
+          this._drop(entry.name, 'invalid_pow', connection, payload);
           return;
         }
-        if (!this._checkRate(connection, payloadBytes)) {
-          if (this.debug) {
-            console.log(`[sidechannel:${entry.name}] drop (rate limit) from ${this._getRemoteKey(connection)}`);
-          }
+        if (!powAdvert) this._observePowLoad(entry.name);
+        // Per-channel and per-origin buckets run first so their drops do not drain the
+        // connection bucket that every other channel on this connection shares.
+        const rateDrop = this._checkChannelRates(entry.name, payload, connection, payloadBytes);
+        if (rateDrop) {
+          this._drop(entry.name, rateDrop, connection, payload);
           return;
         }
+        if (!this._checkRate(connection, payloadBytes, entry.name)) {
+          this._rateStatsFor(entry.name).droppedConnection += 1;
+          this._drop(entry.name, 'rate_limit', connection, payload);
+          return;
+        }
+        this._rateStatsFor(entry.name).accepted += 1;
 
         // Allow a minimal auth handshake even on owner-only channels so invite-only + owner-only
         // channels can authorize listeners without giving them write access.
         const controlEarly = payload?.message?.control;
         const isAuthControl = controlEarly === 'auth';
         const isWelcomeControl = controlEarly === 'welcome';
-        if (this._ownerWriteOnly(entry.name) && !isAuthControl && !isWelcomeControl) {
-          const ownerKey = this._getOwnerKey(entry.name);
+        // History replies and revocations carry entries that are verified one by one.
+        const isSelfVerifyingControl =
+          controlEarly === 'history' ||
+          controlEarly === 'history_reply' ||
+          controlEarly === 'revoke' ||
+          controlEarly === 'moderation' ||
+          controlEarly === 'pow' ||
+          controlEarly === 'ihave' ||
+          controlEarly === 'graft' ||
+          controlEarly === 'prune';
+        if (this._ownerWriteOnly(entry.name) && !isAuthControl && !isWelcomeControl && !isSelfVerifyingControl) {
           const author = normalizeKeyHex(payload?.from);
           // NOTE: payload.from is user-supplied; verify message signature to prevent spoofing.
-          const sigOk = ownerKey ? this._verifySig(payload, ownerKey) : false;
-          if (!ownerKey || !author || author !== ownerKey || !sigOk) {
+          const sigOk = author ? this._verifySig(payload, author) : false;
+          // Writers are the channel owners plus keys holding an owner-signed delegation.
+          if (!author || !sigOk || !this._canWrite(entry.name, author, payload?.delegation)) {
+            let detail = '';
             if (this.debug) {
               const sigHex = payload?.sig || payload?.signature || '';
               const hash = sha256Hex(this._sigBase(payload));
-              console.log(
-                `[sidechannel:${entry.name}] drop (owner-only) author=${author} owner=${ownerKey} sigOk=${sigOk} sigLen=${sigHex.length} hash=${hash} fromRemote=${this._getRemoteKey(connection)}`
-              );
+              const owners = this._getOwnerKeys(entry.name).join(',');
+              detail = `author=${author} owners=${owners} sigOk=${sigOk} sigLen=${sigHex.length} hash=${hash}`;
             }
+            this._drop(entry.name, 'owner_only', connection, payload, detail);
             return;
           }
         }
+        const moderationDrop = this._moderationDropReason(entry.name, payload, connection);
+        if (moderationDrop) {
+          this._drop(entry.name, moderationDrop, connection, payload);
+          return;
+        }
         const payloadId =
           payload?.id ?? `${payload?.from ?? 'unknown'}:${payload?.ts ?? 0}:${payload?.channel ?? entry.name}`;
         const now = this._now();
+        this._markHas(record, payloadId);
         if (this._rememberSeen(payloadId, now)) {
-          if (this.debug) {
-            console.log(`[sidechannel:${entry.name}] drop (duplicate) ${payloadId}`);
-          }
+          this._onDuplicate(entry.name, payload, record);
+          this._drop(entry.name, 'duplicate', connection, payload, payloadId);
           return;
         }
+        this._onFirstCopy(entry.name, payloadId, record);
         const control = payload?.message?.control;
         const requestedChannel = payload?.message?.channel;
         const isWelcome = this._isWelcomeMessage(payload);
@@ -842,48 +3188,46 @@ class Sidechannel extends Feature {
         if (embeddedWelcome) {
           welcomeOk = this._verifyWelcome(embeddedWelcome, entry.name, connection);
           if (!welcomeOk && isWelcome) {
-            if (this.debug) {
-              console.log(`[sidechannel:${entry.name}] drop (invalid welcome) from ${this._getRemoteKey(connection)}`);
-            }
+            this._drop(entry.name, 'invalid_welcome', connection, payload);
             return;
           }
         } else if (isWelcome) {
-          if (this.debug) {
-            console.log(`[sidechannel:${entry.name}] drop (missing welcome) from ${this._getRemoteKey(connection)}`);
-          }
+          this._drop(entry.name, 'missing_welcome', connection, payload);
           return;
         }
         if (this._welcomeRequired(entry.name) && !this._isWelcomed(entry.name) && !welcomeOk) {
-          if (this.debug) {
-            console.log(`[sidechannel:${entry.name}] drop (awaiting welcome) from ${this._getRemoteKey(connection)}`);
-          }
+          this._drop(entry.name, 'awaiting_welcome', connection, payload);
           return;
         }
         if (control === 'open_channel' && this.allowRemoteOpen && typeof requestedChannel === 'string') {
           const target = requestedChannel.trim();
           if (target.length > 0) {
+            const openRequest = {
+              channel: target,
+              via: entry.name,
+              remoteKey: this._getRemoteKey(connection),
+              from: payload?.from ?? null,
+            };
+            const deny = (reason) => {
+              if (this.debug) {
+                console.log(`[sidechannel] open denied (${reason}) for ${target} from ${openRequest.remoteKey}`);
+              }
+              this._emit('channel_open_request', { ...openRequest, accepted: false, reason });
+            };
             const welcome = payload?.message?.welcome || payload?.message?.invite?.welcome;
             if (welcome) {
               if (!this._verifyWelcome(welcome, target, connection)) {
-                if (this.debug) {
-                  console.log(`[sidechannel] open denied (welcome) for ${target} from ${this._getRemoteKey(connection)}`);
-                }
+                deny('welcome');
                 return;
               }
             } else if (this._welcomeRequired(target)) {
-              if (this.debug) {
-                console.log(
-                  `[sidechannel] open denied (missing welcome) for ${target} from ${this._getRemoteKey(connection)}`
-                );
-              }
+              deny('missing_welcome');
               return;
             }
             if (this._inviteRequired(target)) {
               const invite = payload?.message?.invite;
               if (!invite || !this._verifyInvite(invite, target, connection)) {
-                if (this.debug) {
-                  console.log(`[sidechannel] open denied (invite) for ${target} from ${this._getRemoteKey(connection)}`);
-                }
+                deny('invite');
                 return;
               }
             }
@@ -893,17 +3237,60 @@ class Sidechannel extends Feature {
             } else {
               console.log(`[sidechannel] channel request received: ${target}`);
             }
+            this._emit('channel_open_request', { ...openRequest, accepted: true, autoJoined: this.autoJoinOnOpen });
           }
         } else {
           // Avoid spamming logs for handshake control messages.
-          if (control === 'auth') return;
-          if (this.onMessage) {
-            this.onMessage(entry.name, payload, connection);
-          } else {
-            const from = payload?.from ?? 'unknown';
-            const msg = payload?.message ?? payload;
-            console.log(`[sidechannel:${entry.name}] ${from}:`, msg);
+          if (control === 'auth') {
+            this._emit('auth', { channel: entry.name, remoteKey: this._getRemoteKey(connection), from: payload?.from ?? null });
+            // The remote just proved its invite; bring it up to date on revocations.
+            this._sendRevocationsTo(perConn.get(entry.name), entry.name, this.getRevocations(entry.name));
+            this._sendModerationTo(perConn.get(entry.name), entry.name, this._moderationEntries(entry.name));
+            return;
+          }
+          // History requests/replies are neighbor-to-neighbor and never relayed.
+          if (control === 'history') {
+            this._answerHistory(entry.name, payload, connection);
+            return;
+          }
+          if (control === 'history_reply') {
+            this._acceptHistory(entry.name, payload, connection);
+            return;
+          }
+          if (control === 'revoke') {
+            this._acceptRevocations(entry.name, payload, connection);
+            return;
+          }
+          if (control === 'moderation') {
+            this._acceptModeration(entry.name, payload, connection);
+            return;
+          }
+          if (control === 'pow') {
+            this._acceptPowAdvert(entry.name, payload, connection);
+            return;
+          }
+          if (control === 'ihave') {
+            this._acceptIhave(entry.name, payload, record);
+            return;
+          }
+          if (control === 'graft') {
+            this._acceptGraft(entry.name, payload, record);
+            return;
           }
+          if (control === 'prune') {
+            record.lazy = true;
+            return;
+          }
+          // Channel adverts feed the directory and keep spreading, but are not chat messages.
+          if (control === 'channel_advert') {
+            if (!this._acceptChannelAdvert(entry.name, payload, connection)) return;
+            this._relay(entry.name, payload, connection);
+            return;
+          }
+          if (!this._deliver(entry.name, payload, connection)) return;
+          // A direct message ends at its recipient; relaying it further only spreads its metadata.
+          if (this._isDirectMessage(payload.message) && this._isDirectForSelf(payload.message)) return;
+          this._recordHistory(entry.name, payload);
         }
         this._relay(entry.name, payload, connection);
       }
@@ -923,8 +3310,19 @@ class Sidechannel extends Feature {
         }
         if (opened) {
           if (perConn._openRetries) perConn._openRetries.delete(entry.name);
+          record.opened = true;
+          this._emit('peer_open', { channel: entry.name, remoteKey: this._getRemoteKey(connection), connection });
           this._sendWelcome(record, entry, connection);
           this._sendAuth(record, entry);
+          // Neighbors assume the base difficulty until told otherwise.
+          if (this.getPowDifficulty(entry.name) > this.powDifficulty) this._advertisePow(entry.name, record);
+          if (this._remoteAuthorized(entry.name, connection)) {
+            this._sendRevocationsTo(record, entry.name, this.getRevocations(entry.name));
+            this._sendModerationTo(record, entry.name, this._moderationEntries(entry.name));
+          }
+          if (this._historyEnabled(entry.name) && this._remoteAuthorized(entry.name, connection)) {
+            this._sendHistoryRequest(record, entry.name);
+          }
           return;
         }
         const now = this._now();
@@ -957,6 +3355,10 @@ class Sidechannel extends Feature {
   async addChannel(name) {
     const entry = this._registerChannel(name);
     if (!entry) return false;
+    if (!this._isEntry(entry.name) && !this.joinedChannels.has(entry.name)) {
+      this.joinedChannels.add(entry.name);
+      this._scheduleStateSave();
+    }
     if (this.started && this.peer?.swarm) {
       this.peer.swarm.join(entry.topic, { server: true, client: true });
       {
@@ -1005,8 +3407,13 @@ class Sidechannel extends Feature {
     this.invitedPeers.delete(entry.name);
     this.localInvites.delete(normalized);
     this.localInviteObjects.delete(normalized);
+    // channelKeys/encryptedChannels are kept: a fresh key on rejoin would split existing members.
+    this.history.delete(normalized);
+    this.rateStats.delete(entry.name);
     this.welcomeByChannel.delete(normalized);
     this.welcomedChannels.delete(normalized);
+    this.joinedChannels.delete(entry.name);
+    this._scheduleStateSave();
 
     // Best-effort: stop swarm discovery for the topic if supported.
     if (this.started && this.peer?.swarm) {
@@ -1051,9 +3458,8 @@ class Sidechannel extends Feature {
       message && typeof message === 'object' && String(message.control || '') === 'auth';
     const allowUnauthedSend = isAuthControl;
     if (this._ownerWriteOnly(channel) && !isAuthControl) {
-      const ownerKey = this._getOwnerKey(channel);
       const selfKey = normalizeKeyHex(this.peer?.wallet?.publicKey);
-      if (!ownerKey || !selfKey || ownerKey !== selfKey) return false;
+      if (!this._canWrite(channel, selfKey)) return false;
     }
     if (options.invite) {
       this._acceptLocalInvite(options.invite, channel);
@@ -1068,7 +3474,16 @@ class Sidechannel extends Feature {
         this._openChannelForConnection(connection, entry);
       }
     }
-    const payload = this._buildPayload(channel, message, options.invite);
+    // Encrypt before signing so the signature (and PoW) cover the ciphertext relays forward.
+    let wireMessage = message;
+    if (!isAuthControl && this._encryptionRequired(channel)) {
+      wireMessage = this._encryptMessage(channel, message);
+      if (!wireMessage) {
+        console.log(`[sidechannel:${channel}] message rejected (no key for encrypted channel).`);
+        return false;
+      }
+    }
+    const payload = this._buildPayload(channel, wireMessage, options.invite);
     let payloadJson = null;
     try {
       payloadJson = JSON.stringify(payload);
@@ -1087,6 +3502,16 @@ class Sidechannel extends Feature {
       console.log(`[sidechannel:${channel}] sending to ${this.connections.size} connections`);
     }
     this._rememberSeen(payload.id, this._now());
+    this._dispatch(payload, (sealed) => this._sendToChannel(channel, sealed, allowUnauthedSend));
+    return true;
+  }
+
+  _sendToChannel(channel, payload, allowUnauthedSend = false) {
+    this._recordHistory(channel, payload);
+    // Plumtree origins follow the same tree as relays: full copies on eager links only.
+    const lazyPush =
+      this._relayMode(channel) === 'plumtree' && Boolean(payload.id) && !NEIGHBOR_CONTROLS.has(payload?.message?.control);
+    if (lazyPush) this._cacheRelay(payload.id, channel, payload);
     for (const [connection, perConn] of this.connections.entries()) {
       if (!allowUnauthedSend && !this._remoteAuthorized(channel, connection)) {
         if (this.debug) {
@@ -1100,19 +3525,136 @@ class Sidechannel extends Feature {
           record.channel
             ?.fullyOpened()
             .then((opened) => {
-              if (opened) record.message.send(payload);
+              if (!opened) return;
+              this._send(record, channel, payload);
+              this._markHas(record, payload.id);
             })
             .catch(() => {});
+        } else if (lazyPush && record.lazy) {
+          this._announce(record, channel, payload.id);
         } else {
-          record.message.send(payload);
+          this._send(record, channel, payload);
+          this._markHas(record, payload.id);
         }
       } else if (this.debug) {
         console.log(`[sidechannel:${channel}] no message session for connection.`);
       }
     }
+  }
+
+  registerRpcMethod(method, handler) {
+    const name = String(method || '').trim();
+    if (!name || typeof handler !== 'function') return false;
+    this.rpcMethods.set(name, handler);
     return true;
   }
 
+  unregisterRpcMethod(method) {
+    return this.rpcMethods.delete(String(method || '').trim());
+  }
+
+  request(name, target, method, params = null, options = {}) {
+    const channel = String(name || '').trim();
+    const to = normalizeKeyHex(target);
+    const methodName = String(method || '').trim();
+    if (!channel) return Promise.reject(new Error('Missing channel.'));
+    if (!to) return Promise.reject(new Error('Missing target.'));
+    if (!methodName) return Promise.reject(new Error('Missing method.'));
+    const timeoutMs =
+      Number.isSafeInteger(options.timeout) && options.timeout > 0 ? options.timeout : this.rpcTimeoutMs;
+    const id = crypto.randomBytes(12).toString('hex');
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.rpcPending.delete(id);
+        const err = new Error(`RPC ${methodName} timed out after ${timeoutMs}ms.`);
+        err.code = 'timeout';
+        reject(err);
+      }, timeoutMs);
+      this.rpcPending.set(id, { resolve, reject, timer, target: to, channel, method: methodName });
+      const ok = this.broadcast(channel, {
+        rpc: 'request',
+        id,
+        to,
+        method: methodName,
+        params: params ?? null,
+      });
+      if (!ok) {
+        clearTimeout(timer);
+        this.rpcPending.delete(id);
+        const err = new Error('Request denied (invite required or invalid).');
+        err.code = 'send_denied';
+        reject(err);
+      }
+    });
+  }
+
+  respond(name, target, id, reply = {}) {
+    const to = normalizeKeyHex(target);
+    if (!to || id === undefined || id === null) return false;
+    const message = { rpc: 'response', id: String(id), to };
+    if (reply.error !== undefined && reply.error !== null) {
+      const error = reply.error;
+      message.error = {
+        code: String(error?.code ?? 'rpc_error'),
+        message: String(error?.message ?? error),
+      };
+      if (error?.data !== undefined) message.error.data = error.data;
+    } else {
+      message.result = reply.result ?? null;
+    }
+    return this.broadcast(name, message);
+  }
+
+  _handleRpc(channel, payload, connection) {
+    const body = payload?.message;
+    const selfKey = normalizeKeyHex(this.peer?.wallet?.publicKey);
+    if (!selfKey || normalizeKeyHex(body?.to) !== selfKey) return;
+    const sender = normalizeKeyHex(payload?.from);
+    // Replies are routed back to `from`, so it must be the verified signer.
+    if (!sender || !this._verifySig(payload, sender)) {
+      this._drop(channel, 'rpc_signature', connection, payload);
+      return;
+    }
+    const id = String(body.id ?? '');
+    if (!id) return;
+
+    if (body.rpc === 'response') {
+      const pending = this.rpcPending.get(id);
+      if (!pending || pending.target !== sender) return;
+      this.rpcPending.delete(id);
+      clearTimeout(pending.timer);
+      if (body.error) {
+        const err = new Error(String(body.error?.message ?? body.error));
+        err.code = body.error?.code ?? 'rpc_error';
+        if (body.error?.data !== undefined) err.data = body.error.data;
+        pending.reject(err);
+      } else {
+        pending.resolve(body.result ?? null);
+      }
+      return;
+    }
+
+    const method = String(body.method ?? '');
+    const request = { id, method, params: body.params ?? null, from: sender, channel };
+    const handler = this.rpcMethods.get(method);
+    if (handler) {
+      Promise.resolve()
+        .then(() => handler(request.params, request))
+        .then(
+          (result) => this.respond(channel, sender, id, { result }),
+          (err) =>
+            this.respond(channel, sender, id, {
+              error: { code: err?.code ?? 'handler_error', message: err?.message ?? String(err) },
+            })
+        );
+      return;
+    }
+    if (this.onRpcRequest && this.onRpcRequest(channel, request, payload, connection) === true) return;
+    this.respond(channel, sender, id, {
+      error: { code: 'method_not_found', message: `Unknown method: ${method}` },
+    });
+  }
+
   async start() {
     if (this.started) return;
     if (!this.peer?.swarm) {
@@ -1157,6 +3699,19 @@ class Sidechannel extends Feature {
       await Promise.race([flushP, new Promise((resolve) => setTimeout(resolve, flushTimeoutMs))]);
     }
     this.started = true;
+    this._startMetricsServer();
+    if (this.discoveryEnabled && this.discoveryIntervalMs > 0 && !this._discoveryTimer) {
+      this._discoveryTimer = setInterval(() => this.advertiseChannels(), this.discoveryIntervalMs);
+      setTimeout(() => {
+        if (this.started) this.advertiseChannels();
+      }, 1000);
+    }
+    if (this.policyFile && this.policyReloadMs > 0 && !this._policyTimer) {
+      this._policyTimer = setInterval(() => this._checkPolicyFile(), this.policyReloadMs);
+    }
+    if (this.powEnabled && this.powAdaptive && !this._powTimer) {
+      this._powTimer = setInterval(() => this._tickPow(), this.powWindowMs);
+    }
 
     if (this.peer.swarm.connections) {
       for (const connection of this.peer.swarm.connections) {
@@ -1169,8 +3724,34 @@ class Sidechannel extends Feature {
 
   async stop() {
     this.started = false;
+    if (this._powTimer) {
+      clearInterval(this._powTimer);
+      this._powTimer = null;
+    }
+    if (this._discoveryTimer) {
+      clearInterval(this._discoveryTimer);
+      this._discoveryTimer = null;
+    }
+    for (const pending of this._missing.values()) clearTimeout(pending.timer);
+    this._missing.clear();
+    if (this._policyTimer) {
+      clearInterval(this._policyTimer);
+      this._policyTimer = null;
+    }
+    if (this._metricsServer) {
+      this._metricsServer.close();
+      this._metricsServer = null;
+    }
+    if (this._stateSaveTimer) this._saveState();
     this._dhtBootPromise = null;
     this.connections.clear();
+    for (const pending of this.rpcPending.values()) {
+      clearTimeout(pending.timer);
+      const err = new Error('Sidechannel stopped.');
+      err.code = 'stopped';
+      pending.reject(err);
+    }
+    this.rpcPending.clear();
   }
 }
 
@@ -126,6 +126,43 @@ const sidechannelMaxBytesRaw =
   env.SIDECHANNEL_MAX_BYTES ||
   '';
 const sidechannelMaxBytes = Number.parseInt(sidechannelMaxBytesRaw, 10);
+const readRateFlag = (flag, envKey) => {
+  const raw = (flags[flag] && String(flags[flag])) || env[envKey] || '';
+  const value = Number.parseFloat(raw);
+  return Number.isFinite(value) && value > 0 ? value : 0;
+};
+// 0 (the default) leaves a dimension unlimited.
+const sidechannelChannelRateLimit = {
+  bytesPerSecond: readRateFlag('sidechannel-channel-rate-bytes', 'SIDECHANNEL_CHANNEL_RATE_BYTES'),
+  messagesPerSecond: readRateFlag('sidechannel-channel-rate-msgs', 'SIDECHANNEL_CHANNEL_RATE_MSGS'),
+};
+const sidechannelOriginRateLimit = {
+  bytesPerSecond: readRateFlag('sidechannel-origin-rate-bytes', 'SIDECHANNEL_ORIGIN_RATE_BYTES'),
+  messagesPerSecond: readRateFlag('sidechannel-origin-rate-msgs', 'SIDECHANNEL_ORIGIN_RATE_MSGS'),
+};
+// Per-channel overrides: "news:32000/20,chat:8000/5" (bytes per second / messages per second).
+const sidechannelChannelRatesRaw =
+  (flags['sidechannel-channel-rates'] && String(flags['sidechannel-channel-rates'])) ||
+  env.SIDECHANNEL_CHANNEL_RATES ||
+  '';
+const sidechannelChannelRates = new Map();
+for (const [channel, value] of parseKeyValueList(sidechannelChannelRatesRaw)) {
+  const [bytesRaw, msgsRaw] = value.split('/');
+  sidechannelChannelRates.set(channel.trim(), {
+    bytesPerSecond: Number.parseFloat(bytesRaw) || 0,
+    messagesPerSecond: Number.parseFloat(msgsRaw) || 0,
+  });
+}
+// Prometheus endpoint (disabled unless a port is given); binds to localhost by default.
+const sidechannelMetricsPortRaw =
+  (flags['sidechannel-metrics-port'] && String(flags['sidechannel-metrics-port'])) ||
+  env.SIDECHANNEL_METRICS_PORT ||
+  '';
+const sidechannelMetricsPort = Number.parseInt(sidechannelMetricsPortRaw, 10);
+const sidechannelMetricsHost =
+  (flags['sidechannel-metrics-host'] && String(flags['sidechannel-metrics-host'])) ||
+  env.SIDECHANNEL_METRICS_HOST ||
+  '127.0.0.1';
 const sidechannelAllowRemoteOpenRaw =
   (flags['sidechannel-allow-remote-open'] && String(flags['sidechannel-allow-remote-open'])) ||
   env.SIDECHANNEL_ALLOW_REMOTE_OPEN ||
@@ -136,6 +173,39 @@ const sidechannelAutoJoinRaw =
   env.SIDECHANNEL_AUTO_JOIN ||
   '';
 const sidechannelAutoJoin = parseBool(sidechannelAutoJoinRaw, false);
+// Relay routing: flood (default), gossip (fanout-limited) or plumtree (eager tree + lazy ihave).
+const sidechannelRelayMode =
+  (flags['sidechannel-relay-mode'] && String(flags['sidechannel-relay-mode'])) ||
+  env.SIDECHANNEL_RELAY_MODE ||
+  '';
+const sidechannelRelayModes = new Map(
+  parseKeyValueList(
+    (flags['sidechannel-relay-modes'] && String(flags['sidechannel-relay-modes'])) || env.SIDECHANNEL_RELAY_MODES || ''
+  ).map(([channel, mode]) => [channel.trim(), mode.trim().toLowerCase()])
+);
+const sidechannelRelayFanoutRaw =
+  (flags['sidechannel-relay-fanout'] && String(flags['sidechannel-relay-fanout'])) ||
+  env.SIDECHANNEL_RELAY_FANOUT ||
+  '';
+const sidechannelRelayFanout = Number.parseInt(sidechannelRelayFanoutRaw, 10);
+const sidechannelDiscoveryRaw =
+  (flags['sidechannel-discovery'] && String(flags['sidechannel-discovery'])) ||
+  env.SIDECHANNEL_DISCOVERY ||
+  '';
+const sidechannelDiscovery = parseBool(sidechannelDiscoveryRaw, false);
+const sidechannelDiscoveryIntervalRaw =
+  (flags['sidechannel-discovery-interval'] && String(flags['sidechannel-discovery-interval'])) ||
+  env.SIDECHANNEL_DISCOVERY_INTERVAL ||
+  '';
+const sidechannelDiscoveryIntervalSec = Number.parseInt(sidechannelDiscoveryIntervalRaw, 10);
+// "channel:description,..." shown in channel adverts.
+const sidechannelDescriptionsRaw =
+  (flags['sidechannel-descriptions'] && String(flags['sidechannel-descriptions'])) ||
+  env.SIDECHANNEL_DESCRIPTIONS ||
+  '';
+const sidechannelDescriptions = new Map(
+  parseKeyValueList(sidechannelDescriptionsRaw).map(([channel, text]) => [channel.trim(), text.trim()])
+);
 const sidechannelPowRaw =
   (flags['sidechannel-pow'] && String(flags['sidechannel-pow'])) ||
   env.SIDECHANNEL_POW ||
@@ -146,6 +216,21 @@ const sidechannelPowDifficultyRaw =
   env.SIDECHANNEL_POW_DIFFICULTY ||
   '12';
 const sidechannelPowDifficulty = Number.parseInt(sidechannelPowDifficultyRaw, 10);
+const sidechannelPowAdaptiveRaw =
+  (flags['sidechannel-pow-adaptive'] && String(flags['sidechannel-pow-adaptive'])) ||
+  env.SIDECHANNEL_POW_ADAPTIVE ||
+  '';
+const sidechannelPowAdaptive = parseBool(sidechannelPowAdaptiveRaw, true);
+const sidechannelPowMaxDifficultyRaw =
+  (flags['sidechannel-pow-max-difficulty'] && String(flags['sidechannel-pow-max-difficulty'])) ||
+  env.SIDECHANNEL_POW_MAX_DIFFICULTY ||
+  '';
+const sidechannelPowMaxDifficulty = Number.parseInt(sidechannelPowMaxDifficultyRaw, 10);
+const sidechannelPowTargetRateRaw =
+  (flags['sidechannel-pow-target-rate'] && String(flags['sidechannel-pow-target-rate'])) ||
+  env.SIDECHANNEL_POW_TARGET_RATE ||
+  '';
+const sidechannelPowTargetRate = Number.parseFloat(sidechannelPowTargetRateRaw);
 const sidechannelPowEntryRaw =
   (flags['sidechannel-pow-entry'] && String(flags['sidechannel-pow-entry'])) ||
   env.SIDECHANNEL_POW_ENTRY ||
@@ -209,11 +294,25 @@ const sidechannelOwnerRaw =
   env.SIDECHANNEL_OWNER ||
   '';
 const sidechannelOwnerEntries = parseKeyValueList(sidechannelOwnerRaw);
+// Repeat a channel to give it several owners: "room:<key1>,room:<key2>".
 const sidechannelOwnerMap = new Map();
 for (const [channel, key] of sidechannelOwnerEntries) {
   const normalizedKey = key.trim().toLowerCase();
-  if (channel && normalizedKey) sidechannelOwnerMap.set(channel.trim(), normalizedKey);
+  if (!channel || !normalizedKey) continue;
+  const keys = sidechannelOwnerMap.get(channel.trim()) || [];
+  if (!keys.includes(normalizedKey)) keys.push(normalizedKey);
+  sidechannelOwnerMap.set(channel.trim(), keys);
 }
+const sidechannelDelegationsFile =
+  (flags['sidechannel-delegations'] && String(flags['sidechannel-delegations'])) ||
+  env.SIDECHANNEL_DELEGATIONS ||
+  '';
+// JSON file with policy fields (ownerKeys, inviteRequiredChannels, powRequiredChannels, ...,
+// plus exact/prefix/glob `rules`) layered over the flags below; edits are picked up without a restart.
+const sidechannelPolicyFile =
+  (flags['sidechannel-policy'] && String(flags['sidechannel-policy'])) ||
+  env.SIDECHANNEL_POLICY ||
+  '';
 const sidechannelOwnerWriteOnlyRaw =
   (flags['sidechannel-owner-write-only'] && String(flags['sidechannel-owner-write-only'])) ||
   env.SIDECHANNEL_OWNER_WRITE_ONLY ||
@@ -229,6 +328,41 @@ const sidechannelOwnerWriteChannels = sidechannelOwnerWriteChannelsRaw
       .map((value) => value.trim())
       .filter((value) => value.length > 0)
   : null;
+const sidechannelEncryptedChannelsRaw =
+  (flags['sidechannel-encrypted-channels'] && String(flags['sidechannel-encrypted-channels'])) ||
+  env.SIDECHANNEL_ENCRYPTED_CHANNELS ||
+  '';
+const sidechannelEncryptedChannels = sidechannelEncryptedChannelsRaw
+  ? sidechannelEncryptedChannelsRaw
+      .split(',')
+      .map((value) => value.trim())
+      .filter((value) => value.length > 0)
+  : null;
+const sidechannelHistoryRaw =
+  (flags['sidechannel-history'] && String(flags['sidechannel-history'])) ||
+  env.SIDECHANNEL_HISTORY ||
+  '';
+const sidechannelHistory = parseBool(sidechannelHistoryRaw, false);
+const sidechannelHistoryMaxRaw =
+  (flags['sidechannel-history-max'] && String(flags['sidechannel-history-max'])) ||
+  env.SIDECHANNEL_HISTORY_MAX ||
+  '';
+const sidechannelHistoryMax = Number.parseInt(sidechannelHistoryMaxRaw, 10);
+const sidechannelHistoryMaxAgeRaw =
+  (flags['sidechannel-history-max-age'] && String(flags['sidechannel-history-max-age'])) ||
+  env.SIDECHANNEL_HISTORY_MAX_AGE ||
+  '';
+const sidechannelHistoryMaxAgeSec = Number.parseInt(sidechannelHistoryMaxAgeRaw, 10);
+const sidechannelHistoryChannelsRaw =
+  (flags['sidechannel-history-channels'] && String(flags['sidechannel-history-channels'])) ||
+  env.SIDECHANNEL_HISTORY_CHANNELS ||
+  '';
+const sidechannelHistoryChannels = sidechannelHistoryChannelsRaw
+  ? sidechannelHistoryChannelsRaw
+      .split(',')
+      .map((value) => value.trim())
+      .filter((value) => value.length > 0)
+  : null;
 const sidechannelWelcomeRaw =
   (flags['sidechannel-welcome'] && String(flags['sidechannel-welcome'])) ||
   env.SIDECHANNEL_WELCOME ||
@@ -294,6 +428,10 @@ const scBridgeToken =
   (flags['sc-bridge-token'] && String(flags['sc-bridge-token'])) ||
   env.SC_BRIDGE_TOKEN ||
   '';
+const scBridgeTokensFile =
+  (flags['sc-bridge-tokens'] && String(flags['sc-bridge-tokens'])) ||
+  env.SC_BRIDGE_TOKENS ||
+  '';
 const scBridgeCliRaw =
   (flags['sc-bridge-cli'] && String(flags['sc-bridge-cli'])) ||
   env.SC_BRIDGE_CLI ||
@@ -320,8 +458,41 @@ const msbDhtBootstrapRaw =
   '';
 const msbDhtBootstrap = parseCsvList(msbDhtBootstrapRaw);
 
-if (scBridgeEnabled && !scBridgeToken) {
-  throw new Error('SC-Bridge requires --sc-bridge-token (auth is mandatory).');
+// Scoped SC-Bridge tokens: JSON array (or { tokens: [...] }) of { name, token, scopes, channels }.
+const loadScBridgeTokens = (filePath) => {
+  if (!filePath) return [];
+  let parsed = null;
+  try {
+    parsed = JSON.parse(fs.readFileSync(path.resolve(filePath), 'utf8'));
+  } catch (err) {
+    throw new Error(`SC-Bridge tokens file ${filePath} could not be read: ${err?.message ?? err}`);
+  }
+  const list = Array.isArray(parsed) ? parsed : parsed?.tokens;
+  if (!Array.isArray(list)) {
+    throw new Error(`SC-Bridge tokens file ${filePath} must contain an array of tokens.`);
+  }
+  return list;
+};
+const scBridgeTokens = scBridgeEnabled ? loadScBridgeTokens(scBridgeTokensFile) : [];
+
+const loadSidechannelDelegations = (filePath) => {
+  if (!filePath) return [];
+  let parsed = null;
+  try {
+    parsed = JSON.parse(fs.readFileSync(path.resolve(filePath), 'utf8'));
+  } catch (err) {
+    throw new Error(`Sidechannel delegations file ${filePath} could not be read: ${err?.message ?? err}`);
+  }
+  const list = Array.isArray(parsed) ? parsed : parsed?.delegations;
+  if (!Array.isArray(list)) {
+    throw new Error(`Sidechannel delegations file ${filePath} must contain an array of delegations.`);
+  }
+  return list;
+};
+const sidechannelDelegations = loadSidechannelDelegations(sidechannelDelegationsFile);
+
+if (scBridgeEnabled && !scBridgeToken && scBridgeTokens.length === 0) {
+  throw new Error('SC-Bridge requires --sc-bridge-token or --sc-bridge-tokens (auth is mandatory).');
 }
 
 const readHexFile = (filePath, byteLength) => {
@@ -460,6 +631,7 @@ if (scBridgeEnabled) {
     filter: scBridgeFilter,
     filterChannels: scBridgeFilterChannels || undefined,
     token: scBridgeToken,
+    tokens: scBridgeTokens,
     debug: scBridgeDebug,
     cliEnabled: scBridgeCliEnabled,
     requireAuth: true,
@@ -486,11 +658,29 @@ const sidechannel = new Sidechannel(peer, {
   debug: sidechannelDebug,
   maxMessageBytes: Number.isSafeInteger(sidechannelMaxBytes) ? sidechannelMaxBytes : undefined,
   entryChannel: sidechannelEntry,
+  channelRateLimit: sidechannelChannelRateLimit,
+  originRateLimit: sidechannelOriginRateLimit,
+  channelRateLimits: sidechannelChannelRates.size > 0 ? sidechannelChannelRates : undefined,
+  metricsPort: Number.isSafeInteger(sidechannelMetricsPort) && sidechannelMetricsPort > 0 ? sidechannelMetricsPort : undefined,
+  metricsHost: sidechannelMetricsHost,
   allowRemoteOpen: sidechannelAllowRemoteOpen,
   autoJoinOnOpen: sidechannelAutoJoin,
+  relayMode: sidechannelRelayMode ? sidechannelRelayMode.trim().toLowerCase() : undefined,
+  relayModes: sidechannelRelayModes.size > 0 ? sidechannelRelayModes : undefined,
+  relayFanout: Number.isSafeInteger(sidechannelRelayFanout) && sidechannelRelayFanout > 0 ? sidechannelRelayFanout : undefined,
+  discoveryEnabled: sidechannelDiscovery,
+  discoveryIntervalMs:
+    Number.isSafeInteger(sidechannelDiscoveryIntervalSec) && sidechannelDiscoveryIntervalSec > 0
+      ? sidechannelDiscoveryIntervalSec * 1000
+      : undefined,
+  channelDescriptions: sidechannelDescriptions.size > 0 ? sidechannelDescriptions : undefined,
   powEnabled: sidechannelPowEnabled,
   powDifficulty: Number.isInteger(sidechannelPowDifficulty) ? sidechannelPowDifficulty : undefined,
   powRequireEntry: sidechannelPowRequireEntry,
+  powAdaptive: sidechannelPowAdaptive,
+  powMaxDifficulty: Number.isInteger(sidechannelPowMaxDifficulty) ? sidechannelPowMaxDifficulty : undefined,
+  powTargetRate:
+    Number.isFinite(sidechannelPowTargetRate) && sidechannelPowTargetRate > 0 ? sidechannelPowTargetRate : undefined,
   powRequiredChannels: sidechannelPowChannels || undefined,
   inviteRequired: sidechannelInviteRequired,
   inviteRequiredChannels: sidechannelInviteChannels || undefined,
@@ -500,13 +690,26 @@ const sidechannel = new Sidechannel(peer, {
   welcomeRequired: sidechannelWelcomeRequired,
   ownerWriteOnly: sidechannelOwnerWriteOnly,
   ownerWriteChannels: sidechannelOwnerWriteChannels || undefined,
+  encryptedChannels: sidechannelEncryptedChannels || undefined,
+  revocationsFile: path.join(peerStorePath, 'sidechannel-revocations.json'),
+  moderationFile: path.join(peerStorePath, 'sidechannel-moderation.json'),
+  stateFile: path.join(peerStorePath, 'sidechannel-state.json'),
+  policyFile: sidechannelPolicyFile || undefined,
+  historyDir: sidechannelHistory ? path.join(peerStorePath, 'sidechannel-history') : undefined,
+  historyMaxMessages: Number.isSafeInteger(sidechannelHistoryMax) && sidechannelHistoryMax > 0 ? sidechannelHistoryMax : undefined,
+  historyMaxAgeMs:
+    Number.isSafeInteger(sidechannelHistoryMaxAgeSec) && sidechannelHistoryMaxAgeSec > 0
+      ? sidechannelHistoryMaxAgeSec * 1000
+      : undefined,
+  historyChannels: sidechannelHistoryChannels || undefined,
   ownerKeys: sidechannelOwnerMap.size > 0 ? sidechannelOwnerMap : undefined,
+  delegations: sidechannelDelegations.length > 0 ? sidechannelDelegations : undefined,
   welcomeByChannel: sidechannelWelcomeMap.size > 0 ? sidechannelWelcomeMap : undefined,
-  onMessage: scBridgeEnabled
-    ? (channel, payload, connection) => scBridge.handleSidechannelMessage(channel, payload, connection)
-    : sidechannelQuiet
-      ? () => {}
-      : null,
+  // SC-Bridge subscribes to the sidechannel `message` event itself; this only silences the console.
+  onMessage: scBridgeEnabled || sidechannelQuiet ? () => {} : null,
+  onRpcRequest: scBridgeEnabled
+    ? (channel, request, payload, connection) => scBridge.handleRpcRequest(channel, request, payload, connection)
+    : null,
 });
 peer.sidechannel = sidechannel;
 